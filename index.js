@@ -1,12 +1,42 @@
 import dotenv from "dotenv";
 import { connectWithRetry, createRedisClient } from "./src/config/redis.js";
-import {
-    createPostgresPool,
-    ensureProductsTableAndData,
-} from "./src/config/db.js";
+import { createPostgresPool, postgresConfigFromEnv } from "./src/config/db.js";
+import { createMigrator } from "./src/migrations/migrator.js";
 import { createApp } from "./src/app.js";
+import { createAuth } from "./src/middleware/auth.js";
+import { createRateLimiter } from "./src/middleware/rateLimit.js";
+import { createIdempotency } from "./src/middleware/idempotency.js";
+import {
+    createMemoryRateLimiter,
+    createRedisRateLimiter,
+} from "./src/rateLimit/index.js";
+import {
+    rateLimitOverridesSchema,
+    rateLimitsSchema,
+} from "./src/schemas/rateLimitSchema.js";
+import {
+    createCache,
+    createLruStore,
+    createMemoryStore,
+    createRedisInvalidationBus,
+    createRedisStore,
+    createTieredStore,
+} from "./src/cache/index.js";
+import { createMetrics, instrumentPgPool } from "./src/metrics/metrics.js";
+import { startProductChangeListener } from "./src/listeners/productChangeListener.js";
+import { createProductCacheWarmer } from "./src/cache/productWarmer.js";
+import { createReservationSweeper } from "./src/jobs/reservationSweeper.js";
+import {
+    createOtlpExporter,
+    createTracer,
+    logger,
+} from "./src/observability/index.js";
 dotenv.config();
 
+// LOGGING CONFIG
+// ! debug, info, warn, error or silent
+logger.setLevel(process.env.LOG_LEVEL || "info");
+
 // REDIS CONFIG
 const REDIS_HOST = process.env.REDIS_HOST || "localhost";
 const REDIS_PORT = process.env.REDIS_PORT || 6379;
@@ -19,30 +49,215 @@ const redisClient = createRedisClient({
 });
 
 // POSTGRES CONFIG
-const PGHOST = process.env.POSTGRES_HOST || "localhost";
-const PGUSER = process.env.POSTGRES_USER || "postgres";
-const PGPASSWORD = process.env.POSTGRES_PASSWORD || "postgres";
-const PGDB = process.env.POSTGRES_DB || "product_db";
-const PGPORT = process.env.POSTGRES_PORT || 5432;
-
-const pgPool = createPostgresPool({
-    host: PGHOST,
-    user: PGUSER,
-    password: PGPASSWORD,
-    database: PGDB,
-    port: PGPORT,
+const pgConfig = postgresConfigFromEnv();
+
+// METRICS
+const metrics = createMetrics();
+
+const pgPool = instrumentPgPool(createPostgresPool(pgConfig), metrics);
+
+// ! Replicas may start together, the migrator's advisory lock makes them
+// ! apply each migration once. Seed data is only loaded by `npm run seed`.
+if (process.env.MIGRATE_ON_START !== "false") {
+    await createMigrator({ pgPool, log: (msg) => logger.info(msg) }).up();
+}
+
+// CACHE CONFIG
+// ! "memory" keeps the cache in-process, useful for local development without Redis
+const CACHE_STORE = process.env.CACHE_STORE || "redis";
+// ! L1: per-instance LRU in front of Redis, kept in sync over pub/sub
+const CACHE_L1_ENABLED = process.env.CACHE_L1_ENABLED !== "false";
+const CACHE_L1_MAX_ENTRIES =
+    parseInt(process.env.CACHE_L1_MAX_ENTRIES, 10) || 1000;
+const CACHE_L1_TTL = parseInt(process.env.CACHE_L1_TTL, 10) || 30;
+const CACHE_INVALIDATION_CHANNEL =
+    process.env.CACHE_INVALIDATION_CHANNEL || "cache:invalidate";
+
+const useRedisCache = CACHE_STORE !== "memory";
+const useL1Cache = useRedisCache && CACHE_L1_ENABLED;
+
+// ! Subscribed clients can't run other commands, so pub/sub gets its own
+const redisSubscriber = redisClient.duplicate();
+redisSubscriber.on("error", (err) =>
+    logger.error("Redis subscriber error", { err }),
+);
+
+const createCacheStore = () => {
+    if (!useRedisCache) return createMemoryStore();
+    if (!useL1Cache) return createRedisStore(redisClient, { metrics });
+    return createTieredStore({
+        local: createLruStore({
+            maxEntries: CACHE_L1_MAX_ENTRIES,
+            maxTtlSeconds: CACHE_L1_TTL,
+        }),
+        remote: createRedisStore(redisClient, { metrics }),
+        bus: createRedisInvalidationBus({
+            publisher: redisClient,
+            subscriber: redisSubscriber,
+            channel: CACHE_INVALIDATION_CHANNEL,
+        }),
+    });
+};
+
+const cacheStore = createCacheStore();
+const cache = createCache({ store: cacheStore, metrics });
+
+// CACHE WARM-UP CONFIG
+// ! Preloaded before the server starts listening
+const CACHE_WARM_ENABLED = process.env.CACHE_WARM_ENABLED !== "false";
+const CACHE_WARM_LIST = process.env.CACHE_WARM_LIST !== "false";
+const CACHE_WARM_HOT_PRODUCTS = parseInt(
+    process.env.CACHE_WARM_HOT_PRODUCTS ?? "50",
+    10,
+);
+const CACHE_WARM_CATEGORIES = process.env.CACHE_WARM_CATEGORIES !== "false";
+// ! Seconds between refresh runs, 0 disables the refresher
+const CACHE_REFRESH_INTERVAL =
+    parseInt(process.env.CACHE_REFRESH_INTERVAL, 10) || 0;
+const CACHE_REFRESH_AHEAD = parseInt(process.env.CACHE_REFRESH_AHEAD, 10) || 60;
+
+const cacheWarmer = createProductCacheWarmer({
+    pgPool,
+    cache,
+    metrics,
+    list: CACHE_WARM_LIST,
+    hotProducts: CACHE_WARM_HOT_PRODUCTS,
+    categories: CACHE_WARM_CATEGORIES,
+    refreshAheadSeconds: CACHE_REFRESH_AHEAD,
+});
+
+// RATE LIMIT CONFIG
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+// ! JSON, e.g. {"read":{"limit":600}}, merged over the default policies
+const RATE_LIMITS = rateLimitsSchema.parse(
+    JSON.parse(process.env.RATE_LIMITS || "{}"),
+);
+// ! JSON per client, e.g. {"apikey:3":{"write":{"limit":600}}}
+const RATE_LIMIT_OVERRIDES = rateLimitOverridesSchema.parse(
+    JSON.parse(process.env.RATE_LIMIT_OVERRIDES || "{}"),
+);
+
+const rateLimiter = createRateLimiter({
+    // ! The memory limiter only counts per instance
+    limiter: useRedisCache
+        ? createRedisRateLimiter(redisClient, { metrics })
+        : createMemoryRateLimiter(),
+    policies: RATE_LIMITS,
+    overrides: RATE_LIMIT_OVERRIDES,
+    metrics,
+    enabled: RATE_LIMIT_ENABLED,
 });
 
-await ensureProductsTableAndData(pgPool);
+// IDEMPOTENCY CONFIG
+// ! Seconds a response is kept for replay to retries with the same key
+const IDEMPOTENCY_TTL = parseInt(process.env.IDEMPOTENCY_TTL, 10) || 86400;
+// ! Seconds a key stays claimed by a request that is still running
+const IDEMPOTENCY_LOCK_TTL =
+    parseInt(process.env.IDEMPOTENCY_LOCK_TTL, 10) || 60;
+
+const idempotency = createIdempotency({
+    cache,
+    ttlSeconds: IDEMPOTENCY_TTL,
+    lockSeconds: IDEMPOTENCY_LOCK_TTL,
+});
+
+// RESERVATION CONFIG
+// ! Seconds between sweeps releasing expired reservations, 0 disables them
+const RESERVATION_SWEEP_INTERVAL = parseInt(
+    process.env.RESERVATION_SWEEP_INTERVAL ?? "30",
+    10,
+);
+
+const reservationSweeper = createReservationSweeper({ pgPool, cache });
 
 // APP CONFIG
 const PORT = process.env.PORT || 5000;
+// ! "true", a hop count or a list of trusted proxy addresses
+const TRUST_PROXY = process.env.TRUST_PROXY;
+const parseTrustProxy = (value) => {
+    if (value === undefined) return undefined;
+    if (value === "true" || value === "false") return value === "true";
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+// AUTH CONFIG
+// ! Static bearer token with the admin role, unset disables it
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+// ! HS256 secret for bearer JWTs, unset disables JWT auth
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_ISSUER = process.env.JWT_ISSUER;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE;
+// ! Seconds a looked-up API key stays cached, bounds how long a revoked key works
+const API_KEY_CACHE_TTL = parseInt(process.env.API_KEY_CACHE_TTL, 10) || 60;
+const API_KEY_MISS_CACHE_TTL =
+    parseInt(process.env.API_KEY_MISS_CACHE_TTL, 10) || 10;
+// ! Role of callers without credentials, e.g. "reader" for public reads
+const AUTH_ANONYMOUS_ROLE = process.env.AUTH_ANONYMOUS_ROLE || null;
+
+const auth = createAuth({
+    pgPool,
+    cache,
+    jwtSecret: JWT_SECRET,
+    jwtIssuer: JWT_ISSUER,
+    jwtAudience: JWT_AUDIENCE,
+    adminToken: ADMIN_API_TOKEN,
+    apiKeyTtl: API_KEY_CACHE_TTL,
+    apiKeyMissTtl: API_KEY_MISS_CACHE_TTL,
+    anonymousRole: AUTH_ANONYMOUS_ROLE,
+});
+// TRACING CONFIG
+// ! OTLP/HTTP collector, e.g. http://localhost:4318, unset keeps spans local
+const OTEL_EXPORTER_OTLP_ENDPOINT = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+const OTEL_SERVICE_NAME = process.env.OTEL_SERVICE_NAME || "product-api";
+
+const tracer = createTracer({
+    exporter: OTEL_EXPORTER_OTLP_ENDPOINT
+        ? createOtlpExporter({
+              endpoint: OTEL_EXPORTER_OTLP_ENDPOINT,
+              serviceName: OTEL_SERVICE_NAME,
+          })
+        : undefined,
+});
+// ! Cache-Control for product GET routes, unset keeps the router defaults
+const cacheControl = {
+    list: process.env.CACHE_CONTROL_PRODUCT_LIST,
+    detail: process.env.CACHE_CONTROL_PRODUCT,
+};
 
 async function start() {
-    await connectWithRetry(redisClient);
-    const app = createApp({ redisClient, pgPool });
+    if (useRedisCache) {
+        await connectWithRetry(redisClient);
+    }
+    if (useL1Cache) {
+        await connectWithRetry(redisSubscriber);
+        await cacheStore.subscribe();
+    }
+    // ! Invalidates the cache for product rows changed outside the API
+    startProductChangeListener({ pgConfig, cache });
+    if (CACHE_WARM_ENABLED) {
+        await cacheWarmer.warm();
+    }
+    if (CACHE_REFRESH_INTERVAL > 0) {
+        cacheWarmer.start(CACHE_REFRESH_INTERVAL);
+    }
+    if (RESERVATION_SWEEP_INTERVAL > 0) {
+        reservationSweeper.start(RESERVATION_SWEEP_INTERVAL);
+    }
+    const app = createApp({
+        // ! Only pinged by /health, and never connected with the memory cache
+        redisClient: useRedisCache ? redisClient : null,
+        pgPool,
+        metrics,
+        cache,
+        cacheControl,
+        cacheWarmer,
+        auth,
+        rateLimiter,
+        idempotency,
+        tracer,
+        trustProxy: parseTrustProxy(TRUST_PROXY),
+    });
     app.listen(PORT, () => {
-        console.log(`Server Running at http://localhost:${PORT}`);
+        logger.info(`Server running at http://localhost:${PORT}`);
     });
 }
 
@@ -0,0 +1,17 @@
+-- Baseline schema. IF NOT EXISTS lets databases created before migrations
+-- (by the old startup code) adopt this history without changes.
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    description TEXT,
+    quantity INT DEFAULT 0,
+    price DECIMAL(10, 2) NOT NULL,
+    category VARCHAR(100),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Bumped on every update, orders cache writes
+    version INT NOT NULL DEFAULT 1
+);
+
+-- Tables created before versioned cache entries lack the column
+ALTER TABLE products ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS products_notify_changed ON products;
+DROP FUNCTION IF EXISTS notify_products_changed();
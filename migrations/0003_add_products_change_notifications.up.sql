@@ -0,0 +1,28 @@
+-- Notify listeners of every row change, whoever made it, on the
+-- products_changed channel (PRODUCTS_CHANNEL in src/config/db.js).
+-- Payload: { op, id, category, previous_category, search_changed }
+CREATE OR REPLACE FUNCTION notify_products_changed() RETURNS trigger AS $$
+DECLARE
+    changed products%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        changed := OLD;
+    ELSE
+        changed := NEW;
+    END IF;
+    PERFORM pg_notify('products_changed', json_build_object(
+        'op', TG_OP,
+        'id', changed.id,
+        'category', changed.category,
+        'previous_category', CASE WHEN TG_OP = 'UPDATE' THEN OLD.category END,
+        'search_changed', CASE WHEN TG_OP = 'UPDATE' THEN
+            OLD.search_vector IS DISTINCT FROM NEW.search_vector END
+    )::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS products_notify_changed ON products;
+CREATE TRIGGER products_notify_changed
+    AFTER INSERT OR UPDATE OR DELETE ON products
+    FOR EACH ROW EXECUTE FUNCTION notify_products_changed();
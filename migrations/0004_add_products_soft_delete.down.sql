@@ -0,0 +1,26 @@
+-- Restores the notify function from 0003 before the column goes away
+CREATE OR REPLACE FUNCTION notify_products_changed() RETURNS trigger AS $$
+DECLARE
+    changed products%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        changed := OLD;
+    ELSE
+        changed := NEW;
+    END IF;
+    PERFORM pg_notify('products_changed', json_build_object(
+        'op', TG_OP,
+        'id', changed.id,
+        'category', changed.category,
+        'previous_category', CASE WHEN TG_OP = 'UPDATE' THEN OLD.category END,
+        'search_changed', CASE WHEN TG_OP = 'UPDATE' THEN
+            OLD.search_vector IS DISTINCT FROM NEW.search_vector END
+    )::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS products_active_idx;
+-- Soft-deleted rows would otherwise come back as live products
+DELETE FROM products WHERE deleted_at IS NOT NULL;
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,29 @@
+-- Soft delete: deleted products keep their row (and history) until restored
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS products_active_idx
+    ON products (id) WHERE deleted_at IS NULL;
+
+-- Deleting or restoring a product also changes search results, so it is
+-- reported as search_changed like an edit of a searchable field
+CREATE OR REPLACE FUNCTION notify_products_changed() RETURNS trigger AS $$
+DECLARE
+    changed products%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        changed := OLD;
+    ELSE
+        changed := NEW;
+    END IF;
+    PERFORM pg_notify('products_changed', json_build_object(
+        'op', TG_OP,
+        'id', changed.id,
+        'category', changed.category,
+        'previous_category', CASE WHEN TG_OP = 'UPDATE' THEN OLD.category END,
+        'search_changed', CASE WHEN TG_OP = 'UPDATE' THEN
+            OLD.search_vector IS DISTINCT FROM NEW.search_vector
+            OR OLD.deleted_at IS DISTINCT FROM NEW.deleted_at END
+    )::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,47 @@
+-- Audit trail of every product change, written by a trigger so changes
+-- made outside the API are recorded too. No foreign key, history outlives
+-- hard-deleted rows.
+-- op: create, update, delete (soft), restore or purge (hard DELETE)
+CREATE TABLE IF NOT EXISTS product_history (
+    id BIGSERIAL PRIMARY KEY,
+    product_id INT NOT NULL,
+    op VARCHAR(10) NOT NULL,
+    before JSONB,
+    after JSONB,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS product_history_product_idx
+    ON product_history (product_id, id);
+
+CREATE OR REPLACE FUNCTION record_product_history() RETURNS trigger AS $$
+DECLARE
+    change_op VARCHAR(10);
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        change_op := 'create';
+    ELSIF TG_OP = 'DELETE' THEN
+        change_op := 'purge';
+    ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+        change_op := 'delete';
+    ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+        change_op := 'restore';
+    ELSE
+        change_op := 'update';
+    END IF;
+
+    INSERT INTO product_history (product_id, op, before, after)
+    VALUES (
+        COALESCE(NEW.id, OLD.id),
+        change_op,
+        CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) - 'search_vector' END,
+        CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) - 'search_vector' END
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS products_record_history ON products;
+CREATE TRIGGER products_record_history
+    AFTER INSERT OR UPDATE OR DELETE ON products
+    FOR EACH ROW EXECUTE FUNCTION record_product_history();
@@ -0,0 +1,17 @@
+-- Stock held for an order. Reserving decrements products.quantity right
+-- away; releasing or expiring a reservation gives the stock back, and
+-- committing it makes the decrement final.
+-- status: held, committed, released or expired
+CREATE TABLE IF NOT EXISTS product_reservations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id INT NOT NULL REFERENCES products (id),
+    quantity INT NOT NULL CHECK (quantity > 0),
+    status VARCHAR(10) NOT NULL DEFAULT 'held',
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The sweeper only looks at held reservations past their expiry
+CREATE INDEX IF NOT EXISTS product_reservations_held_idx
+    ON product_reservations (expires_at) WHERE status = 'held';
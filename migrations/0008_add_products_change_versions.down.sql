@@ -0,0 +1,25 @@
+DROP TRIGGER IF EXISTS products_bump_version ON products;
+DROP FUNCTION IF EXISTS bump_product_version();
+
+-- Restores the notify function from 0004
+CREATE OR REPLACE FUNCTION notify_products_changed() RETURNS trigger AS $$
+DECLARE
+    changed products%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        changed := OLD;
+    ELSE
+        changed := NEW;
+    END IF;
+    PERFORM pg_notify('products_changed', json_build_object(
+        'op', TG_OP,
+        'id', changed.id,
+        'category', changed.category,
+        'previous_category', CASE WHEN TG_OP = 'UPDATE' THEN OLD.category END,
+        'search_changed', CASE WHEN TG_OP = 'UPDATE' THEN
+            OLD.search_vector IS DISTINCT FROM NEW.search_vector
+            OR OLD.deleted_at IS DISTINCT FROM NEW.deleted_at END
+    )::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
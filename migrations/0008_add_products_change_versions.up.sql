@@ -0,0 +1,40 @@
+-- Every update bumps the row version, also the ones made outside the API
+-- that don't set it, so a version always identifies one state of the row
+CREATE OR REPLACE FUNCTION bump_product_version() RETURNS trigger AS $$
+BEGIN
+    IF NEW.version = OLD.version THEN
+        NEW.version := OLD.version + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS products_bump_version ON products;
+CREATE TRIGGER products_bump_version
+    BEFORE UPDATE ON products
+    FOR EACH ROW EXECUTE FUNCTION bump_product_version();
+
+-- Adds the row version to the products_changed payload, so the listener can
+-- keep a cache entry that a write-through already brought up to date
+CREATE OR REPLACE FUNCTION notify_products_changed() RETURNS trigger AS $$
+DECLARE
+    changed products%ROWTYPE;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        changed := OLD;
+    ELSE
+        changed := NEW;
+    END IF;
+    PERFORM pg_notify('products_changed', json_build_object(
+        'op', TG_OP,
+        'id', changed.id,
+        'version', changed.version,
+        'category', changed.category,
+        'previous_category', CASE WHEN TG_OP = 'UPDATE' THEN OLD.category END,
+        'search_changed', CASE WHEN TG_OP = 'UPDATE' THEN
+            OLD.search_vector IS DISTINCT FROM NEW.search_vector
+            OR OLD.deleted_at IS DISTINCT FROM NEW.deleted_at END
+    )::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,51 @@
+import dotenv from "dotenv";
+import { createPostgresPool, postgresConfigFromEnv } from "../src/config/db.js";
+import { ROLES, generateApiKey, hashApiKey } from "../src/middleware/auth.js";
+import {
+    insertApiKey,
+    listApiKeys,
+    revokeApiKey,
+} from "../src/queries/apiKeys.js";
+dotenv.config();
+
+// ! Usage: node scripts/apiKey.js [create <name> <role> | revoke <id> | list]
+const [command = "list", ...args] = process.argv.slice(2);
+
+const pgPool = createPostgresPool(postgresConfigFromEnv());
+
+try {
+    if (command === "create") {
+        const [name, role = "reader"] = args;
+        if (!name) throw new Error("A key name is required");
+        if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+        const key = generateApiKey();
+        const created = await insertApiKey(pgPool, {
+            name,
+            role,
+            keyHash: hashApiKey(key),
+        });
+        // ! Only the hash is stored, the key can't be shown again
+        console.log(`Created key ${created.id} (${name}, ${role}): ${key}`);
+    } else if (command === "revoke") {
+        const id = parseInt(args[0], 10);
+        if (!(id > 0)) throw new Error(`Invalid key id: ${args[0]}`);
+        const revoked = await revokeApiKey(pgPool, id);
+        if (!revoked) throw new Error(`No active key with id ${id}`);
+        console.log(`Revoked key ${id} (${revoked.name})`);
+    } else if (command === "list") {
+        for (const { id, name, role, revoked_at } of await listApiKeys(
+            pgPool,
+        )) {
+            console.log(
+                `${id}  ${name}  ${role}${revoked_at ? "  revoked" : ""}`,
+            );
+        }
+    } else {
+        throw new Error(`Unknown command: ${command}`);
+    }
+} catch (err) {
+    console.error("API key command failed:", err.message);
+    process.exitCode = 1;
+} finally {
+    await pgPool.end();
+}
@@ -0,0 +1,34 @@
+import dotenv from "dotenv";
+import { createPostgresPool, postgresConfigFromEnv } from "../src/config/db.js";
+import { createMigrator } from "../src/migrations/migrator.js";
+dotenv.config();
+
+// ! Usage: node scripts/migrate.js [up | down [steps] | status]
+const [command = "up", steps = "1"] = process.argv.slice(2);
+
+const pgPool = createPostgresPool(postgresConfigFromEnv());
+const migrator = createMigrator({ pgPool });
+
+try {
+    if (command === "up") {
+        await migrator.up();
+    } else if (command === "down") {
+        const count = parseInt(steps, 10);
+        if (!(count > 0)) throw new Error(`Invalid number of steps: ${steps}`);
+        const reverted = await migrator.down(count);
+        if (reverted.length === 0) console.log("No migrations to roll back");
+    } else if (command === "status") {
+        for (const { version, name, applied } of await migrator.status()) {
+            console.log(
+                `${applied ? "applied" : "pending"}  ${version}_${name}`,
+            );
+        }
+    } else {
+        throw new Error(`Unknown command: ${command}`);
+    }
+} catch (err) {
+    console.error("Migration failed:", err.message);
+    process.exitCode = 1;
+} finally {
+    await pgPool.end();
+}
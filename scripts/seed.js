@@ -0,0 +1,15 @@
+import dotenv from "dotenv";
+import { createPostgresPool, postgresConfigFromEnv } from "../src/config/db.js";
+import { runSeeds } from "../src/migrations/seed.js";
+dotenv.config();
+
+const pgPool = createPostgresPool(postgresConfigFromEnv());
+
+try {
+    await runSeeds({ pgPool });
+} catch (err) {
+    console.error("Seeding failed:", err.message);
+    process.exitCode = 1;
+} finally {
+    await pgPool.end();
+}
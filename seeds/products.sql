@@ -0,0 +1,13 @@
+-- Sample products for local development. Only seeds an empty table, so
+-- running it again is harmless.
+INSERT INTO products (name, description, quantity, price, category)
+SELECT *
+FROM (
+    VALUES
+    ('Laptop', '15-inch display, 8GB RAM, 512GB SSD', 20, 999.99, 'Electronics'),
+    ('Wireless Mouse', 'Bluetooth mouse with ergonomic design', 50, 25.50, 'Accessories'),
+    ('Office Chair', 'Adjustable height with lumbar support', 15, 120.00, 'Furniture'),
+    ('Desk Lamp', 'LED lamp with adjustable brightness', 30, 45.00, 'Accessories'),
+    ('Smartphone', '6.5-inch screen, 128GB storage', 40, 699.99, 'Electronics')
+) AS sample (name, description, quantity, price, category)
+WHERE NOT EXISTS (SELECT 1 FROM products);
@@ -1,14 +1,87 @@
 import express from "express";
 import { errorHandler } from "./middleware/errorHandler.js";
+import { requestMetrics } from "./middleware/requestMetrics.js";
+import { requestTracing } from "./middleware/requestTracing.js";
+import { createAuth, roleForMethod } from "./middleware/auth.js";
+import { createRateLimiter } from "./middleware/rateLimit.js";
+import { createIdempotency } from "./middleware/idempotency.js";
 import { healthRouter } from "./routes/health.js";
+import { metricsRouter } from "./routes/metrics.js";
+import { productBulkRouter } from "./routes/productBulk.js";
 import { productListRouter } from "./routes/productList.js";
+import { productReservationRouter } from "./routes/productReservations.js";
+import { cacheAdminRouter } from "./routes/cacheAdmin.js";
+import { categoryRouter } from "./routes/categories.js";
+import { createCache, createRedisStore } from "./cache/index.js";
+import { createProductCacheWarmer } from "./cache/productWarmer.js";
+import { createMetrics } from "./metrics/metrics.js";
+import { createTracer } from "./observability/tracer.js";
+import {
+    createRedisRateLimiter,
+    rateLimitForRequest,
+} from "./rateLimit/index.js";
 import { swaggerDocs } from "../swagger.js";
 
-export const createApp = ({ redisClient, pgPool }) => {
+export const createApp = ({
+    redisClient,
+    pgPool,
+    metrics = createMetrics(),
+    cache = createCache({
+        store: createRedisStore(redisClient, { metrics }),
+        metrics,
+    }),
+    cacheControl = {},
+    cacheWarmer = createProductCacheWarmer({ pgPool, cache, metrics }),
+    auth = createAuth({ pgPool, cache }),
+    rateLimiter = createRateLimiter({
+        limiter: createRedisRateLimiter(redisClient, { metrics }),
+        metrics,
+    }),
+    idempotency = createIdempotency({ cache }),
+    // ! Spans are kept per request, and exported when given an exporter
+    tracer = createTracer(),
+    // ! Express "trust proxy" setting, needed for per-IP limits behind a proxy
+    trustProxy,
+}) => {
     const app = express();
-    app.use(express.json());
-    app.use("/health", healthRouter({ redisClient, pgPool }));
-    app.use("/products", productListRouter({ pgPool, redisClient }));
+    if (trustProxy !== undefined) app.set("trust proxy", trustProxy);
+    // ! First, so everything after it logs and traces within the request
+    app.use(requestTracing({ tracer }));
+    // ! Bulk requests carry up to 1000 products
+    app.use(express.json({ limit: "1mb" }));
+    app.use(requestMetrics(metrics));
+    app.use("/health", healthRouter({ redisClient, pgPool, cache }));
+    app.use("/metrics", metricsRouter({ metrics }));
+    // ! Before auth, so requests with invalid credentials are limited too
+    app.use(
+        ["/products", "/categories", "/admin/cache"],
+        rateLimiter.limit("ip"),
+    );
+    app.use(
+        ["/products", "/categories"],
+        auth.authorize(roleForMethod),
+        rateLimiter.limit(rateLimitForRequest),
+    );
+    // ! Retried creates, reservations and bulk writes replay the first response
+    app.post(["/products", "/products/:id/reserve"], idempotency);
+    // ! Before /products so "bulk" isn't taken for a product id
+    app.use(
+        "/products/bulk",
+        idempotency,
+        productBulkRouter({ pgPool, cache }),
+    );
+    app.use("/products", productReservationRouter({ pgPool, cache }));
+    app.use("/products", productListRouter({ pgPool, cache, cacheControl }));
+    app.use(
+        "/categories",
+        categoryRouter({ pgPool, cache, cacheControl: cacheControl.list }),
+    );
+    app.use(
+        "/admin/cache",
+        auth.authorize("admin"),
+        rateLimiter.limit("admin"),
+        cacheAdminRouter({ cache, cacheWarmer }),
+    );
     app.use(errorHandler);
     swaggerDocs(app);
     return app;
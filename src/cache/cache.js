@@ -0,0 +1,587 @@
+import { randomUUID } from "node:crypto";
+import { keyNamespace } from "../metrics/metrics.js";
+import { createCircuitBreaker } from "./circuitBreaker.js";
+import { logger } from "../observability/logger.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ! A ttl is either seconds, or { ttl, staleTtl, beta }:
+// !   ttl      - seconds the entry is fresh
+// !   staleTtl - extra seconds a stale entry may still be served while it
+// !              is refreshed in the background
+// !   beta     - XFetch early refresh factor (0 disables it, 1 is the usual)
+const normalizeTtl = (ttl, defaultTtl) => {
+    if (ttl === undefined || ttl === null) ttl = defaultTtl;
+    if (typeof ttl === "number") return { fresh: ttl, hard: ttl, beta: 0 };
+    const fresh = ttl.ttl ?? defaultTtl;
+    return {
+        fresh,
+        hard: fresh + (ttl.staleTtl ?? 0),
+        beta: ttl.beta ?? 0,
+    };
+};
+
+// ! Entries are stored as { v: value, e: fresh-until (ms), d: load time (ms) }
+const isEnvelope = (data) =>
+    data !== null && typeof data === "object" && "v" in data && "e" in data;
+
+/**
+ * Cache-aside helper on top of a store (see stores/memoryStore.js for the interface).
+ * Every key is prefixed with the namespace, e.g. namespace "products"
+ * and key 42 are stored as "products:42".
+ *
+ * Misses are coalesced: concurrent callers in this process share one loader
+ * call, and across processes a lock ("lock:<key>") with a lease makes sure
+ * only one instance rebuilds the entry while the others wait for it.
+ *
+ * Entries have a soft (fresh) and a hard (store) expiry. Stale entries are
+ * served immediately and refreshed in the background, and with `beta` set
+ * entries may be refreshed early using XFetch (probabilistic early expiration).
+ *
+ * Entries can be registered under tags and dropped together with invalidateTags.
+ *
+ * Store calls go through a circuit breaker with timeouts. When the store is
+ * unavailable reads fall through to the loader, failed writes are skipped
+ * and failed invalidations are queued and replayed once the circuit closes.
+ * So are the keys of failed versioned writes (write-through, tombstones).
+ */
+export const createCache = ({
+    store,
+    namespace = "",
+    defaultTtl = 3600,
+    lockLeaseMs = 5000,
+    lockPollMs = 50,
+    metrics = null,
+    breaker = createCircuitBreaker(),
+    inflight = new Map(),
+    pendingInvalidations = null,
+    accessFlushMs = 5000,
+    accessCounts = null,
+}) => {
+    const toKey = (key) => (namespace ? `${namespace}:${key}` : `${key}`);
+    const metricsNamespace = keyNamespace(namespace) || "default";
+
+    // ! Counts failed store calls before rethrowing them
+    const storeCall = async (fn) => {
+        try {
+            return await breaker.exec(fn);
+        } catch (err) {
+            metrics?.cacheError(metricsNamespace);
+            throw err;
+        }
+    };
+
+    const countInvalidations = (fullKeys) => {
+        for (const fullKey of fullKeys) {
+            metrics?.cacheInvalidation(keyNamespace(fullKey));
+        }
+    };
+
+    const read = async (key) => {
+        const data = await storeCall(() => store.get(toKey(key)));
+        if (!data) return null;
+        const parsed = JSON.parse(data);
+        return isEnvelope(parsed) ? parsed : { v: parsed, e: Infinity, d: 0 };
+    };
+
+    const get = async (key) => {
+        const entry = await read(key);
+        return entry ? entry.v : null;
+    };
+
+    // ! Version the entry was stored with, null without one (or no entry).
+    // ! A tombstone (value null, see set) has a version too.
+    const cachedVersion = async (key) => {
+        const entry = await read(key);
+        return entry?.ver ?? null;
+    };
+
+    // ! Shared by every namespace of this cache. Keys and tags whose
+    // ! invalidation failed are kept here until the store is back.
+    const pending = pendingInvalidations ?? {
+        keys: new Set(),
+        tags: new Set(),
+    };
+
+    const deleteKeys = async (fullKeys) => {
+        try {
+            const removed = await storeCall(() => store.del(fullKeys));
+            countInvalidations(fullKeys);
+            return removed;
+        } catch (err) {
+            for (const fullKey of fullKeys) pending.keys.add(fullKey);
+            logger.error("Cache delete failed, queued keys", {
+                keys: fullKeys.length,
+                err,
+            });
+            return 0;
+        }
+    };
+
+    const del = async (...keys) => deleteKeys(keys.map(toKey));
+
+    // ! Tags are global (not namespaced) sets of full cache keys, e.g.
+    // ! "tag:category:Electronics" -> ["products:list:ab12...", ...]
+    const tagKey = (tag) => `tag:${tag}`;
+
+    const addTags = async (key, tags, hardTtl) => {
+        await Promise.all(
+            tags.map((tag) =>
+                store.addToSet(tagKey(tag), [toKey(key)], hardTtl),
+            ),
+        );
+    };
+
+    // ! One store round trip however many tags, so bulk writes can batch
+    // ! all their invalidations into a single call
+    const invalidateTags = async (tags) => {
+        const uniqueTags = [...new Set(tags)];
+        const tagKeys = uniqueTags.map(tagKey);
+        try {
+            const removed = await storeCall(() =>
+                store.invalidateSets(tagKeys),
+            );
+            const fullKeys = [...new Set(removed)];
+            countInvalidations(fullKeys);
+            return fullKeys.length;
+        } catch (err) {
+            for (const tag of uniqueTags) pending.tags.add(tag);
+            logger.error("Cache tag invalidation failed, queued tags", {
+                tags: uniqueTags.length,
+                err,
+            });
+            return 0;
+        }
+    };
+
+    const replayPendingInvalidations = async () => {
+        const keys = [...pending.keys];
+        const tags = [...pending.tags];
+        if (keys.length === 0 && tags.length === 0) return;
+
+        pending.keys.clear();
+        pending.tags.clear();
+        logger.info("Replaying pending cache invalidations", {
+            keys: keys.length,
+            tags: tags.length,
+        });
+        if (keys.length) await deleteKeys(keys);
+        if (tags.length) await invalidateTags(tags);
+    };
+
+    if (!pendingInvalidations) {
+        breaker.onStateChange((state) => {
+            if (state === "closed") replayPendingInvalidations();
+        });
+    }
+
+    // ! Cache writes are best effort, a failed set only costs a later miss.
+    // ! With a version the write is a compare-and-set: it is refused when the
+    // ! cached entry has a newer version. Returns whether the entry was stored.
+    // ! A failed versioned write may leave an older version cached, so its
+    // ! key is queued with the failed invalidations.
+    // ! A null value with a version is a tombstone: wrap serves it as null
+    // ! without loading, and loaders that read an older row can't replace it.
+    const set = async (
+        key,
+        value,
+        ttl,
+        { tags = [], loadMs = 0, version } = {},
+    ) => {
+        const { fresh, hard } = normalizeTtl(ttl, defaultTtl);
+        const entry = { v: value, e: Date.now() + fresh * 1000, d: loadMs };
+        if (version !== undefined) entry.ver = version;
+        const data = JSON.stringify(entry);
+        try {
+            const stored = await storeCall(async () => {
+                if (version === undefined) {
+                    await store.set(toKey(key), data, hard);
+                } else if (
+                    !(await store.setIfNewer(toKey(key), data, version, hard))
+                ) {
+                    return false;
+                }
+                if (tags.length) await addTags(key, tags, hard);
+                return true;
+            });
+            if (stored) {
+                metrics?.cacheSet(keyNamespace(toKey(key)));
+            } else {
+                logger.debug("Cache set refused (older version)", {
+                    key: toKey(key),
+                });
+            }
+            return stored;
+        } catch (err) {
+            if (version !== undefined) pending.keys.add(toKey(key));
+            logger.error("Cache set failed", { key: toKey(key), err });
+            return false;
+        }
+    };
+
+    // ! Values for many keys in one store round trip, null for misses.
+    // ! Stale entries are returned as is; callers own any backfill.
+    const getMany = async (keys) => {
+        const fullKeys = keys.map(toKey);
+        let data;
+        try {
+            data = await storeCall(() => store.getMany(fullKeys));
+        } catch (err) {
+            logger.error("Cache getMany failed", { err });
+            return keys.map(() => null);
+        }
+        return data.map((item, i) => {
+            if (!item) {
+                metrics?.cacheMiss(keyNamespace(fullKeys[i]));
+                return null;
+            }
+            metrics?.cacheHit(keyNamespace(fullKeys[i]));
+            const parsed = JSON.parse(item);
+            return isEnvelope(parsed) ? parsed.v : parsed;
+        });
+    };
+
+    // ! Writes many entries ({ key, value, ttl, tags?, version? }) in one
+    // ! store round trip, with the same semantics as set
+    const setMany = async (entries) => {
+        const writes = entries.map(
+            ({ key, value, ttl, tags = [], version }) => {
+                const { fresh, hard } = normalizeTtl(ttl, defaultTtl);
+                const entry = { v: value, e: Date.now() + fresh * 1000, d: 0 };
+                if (version !== undefined) entry.ver = version;
+                return {
+                    key: toKey(key),
+                    value: JSON.stringify(entry),
+                    ttlSeconds: hard,
+                    version,
+                    setKeys: tags.map(tagKey),
+                };
+            },
+        );
+        try {
+            await storeCall(() => store.setMany(writes));
+            for (const { key } of writes) metrics?.cacheSet(keyNamespace(key));
+        } catch (err) {
+            for (const { key, version } of writes) {
+                if (version !== undefined) pending.keys.add(key);
+            }
+            logger.error("Cache setMany failed", { err });
+        }
+    };
+
+    // ! XFetch: refresh when now - delta * beta * ln(rand()) >= expiry
+    const shouldRefresh = (entry, beta) => {
+        const now = Date.now();
+        if (now >= entry.e) return true;
+        if (!beta || !entry.d) return false;
+        return now - entry.d * beta * Math.log(Math.random()) >= entry.e;
+    };
+
+    // ! `refresh` is set when a stale entry is being replaced: if the value
+    // ! is gone, the stale entry is dropped rather than served until it expires
+    const loadAndSet = async (
+        key,
+        ttl,
+        loader,
+        { tags, version },
+        { refresh = false } = {},
+    ) => {
+        const startedAt = Date.now();
+        const value = await loader();
+        if (value !== null && value !== undefined) {
+            await set(key, value, ttl, {
+                tags: typeof tags === "function" ? tags(value) : tags,
+                loadMs: Date.now() - startedAt,
+                version: version?.(value),
+            });
+        } else if (refresh) {
+            await del(key);
+        }
+        return value;
+    };
+
+    const releaseLock = (lockKey, token) =>
+        storeCall(() => store.releaseLock(lockKey, token)).catch((err) =>
+            logger.error("Failed to release cache lock", { key: lockKey, err }),
+        );
+
+    // ! Rebuilds the entry under the distributed lock. Callers that lose the
+    // ! race poll for the winner's value until the lock is released or the
+    // ! lease runs out, then load it themselves so a crashed lock holder
+    // ! can't block reads. If the store fails midway the loader runs directly.
+    const rebuild = async (key, ttl, loader, options) => {
+        const lockKey = `lock:${toKey(key)}`;
+        const token = randomUUID();
+
+        let locked;
+        try {
+            locked = await storeCall(() =>
+                store.acquireLock(lockKey, token, lockLeaseMs),
+            );
+        } catch {
+            return loader();
+        }
+
+        if (locked) {
+            try {
+                return await loadAndSet(key, ttl, loader, options);
+            } finally {
+                await releaseLock(lockKey, token);
+            }
+        }
+
+        try {
+            const deadline = Date.now() + lockLeaseMs;
+            while (Date.now() < deadline) {
+                await sleep(lockPollMs);
+                const cached = await get(key);
+                if (cached !== null) return cached;
+                // ! Lock released without a value (e.g. not found), stop waiting
+                if (!(await storeCall(() => store.isLocked(lockKey)))) break;
+            }
+        } catch {
+            return loader();
+        }
+        return loadAndSet(key, ttl, loader, options);
+    };
+
+    // ! Background refresh of a stale entry. Skipped when another caller in
+    // ! this process or another instance (holding the lock) already does it.
+    const revalidate = (key, ttl, loader, options) => {
+        const fullKey = toKey(key);
+        if (inflight.has(fullKey)) return;
+
+        const lockKey = `lock:${fullKey}`;
+        const token = randomUUID();
+        const refresh = (async () => {
+            const locked = await storeCall(() =>
+                store.acquireLock(lockKey, token, lockLeaseMs),
+            );
+            if (!locked) return;
+            try {
+                return await loadAndSet(key, ttl, loader, options, {
+                    refresh: true,
+                });
+            } finally {
+                await releaseLock(lockKey, token);
+            }
+        })()
+            .catch((err) => {
+                metrics?.cacheError(keyNamespace(fullKey));
+                logger.error("Cache refresh failed", { key: fullKey, err });
+            })
+            .finally(() => inflight.delete(fullKey));
+        inflight.set(fullKey, refresh);
+    };
+
+    // ! Returns the cached value or runs the loader and caches its result
+    // ! under the given tags, or the tags returned by `tags(value)`.
+    // ! `version(value)` makes the write a compare-and-set, so a slow loader
+    // ! can't replace a newer entry.
+    // ! null/undefined results (e.g. not found) are never cached. Falls back
+    // ! to the loader when the store is unavailable.
+    const wrap = async (key, ttl, loader, { tags = [], version } = {}) => {
+        const options = { tags, version };
+        const fullKey = toKey(key);
+
+        let entry;
+        try {
+            entry = await read(key);
+        } catch (err) {
+            logger.warn("Cache unavailable, loading from source", {
+                key: fullKey,
+                err,
+            });
+            return loader();
+        }
+
+        if (entry) {
+            metrics?.cacheHit(keyNamespace(fullKey));
+            if (shouldRefresh(entry, normalizeTtl(ttl, defaultTtl).beta)) {
+                logger.debug("Cache stale", { key: fullKey });
+                revalidate(key, ttl, loader, options);
+            } else {
+                logger.debug("Cache hit", { key: fullKey });
+            }
+            return entry.v;
+        }
+
+        metrics?.cacheMiss(keyNamespace(fullKey));
+        if (inflight.has(fullKey)) {
+            const value = await inflight.get(fullKey);
+            if (value !== undefined) return value;
+        }
+
+        const pendingLoad = rebuild(key, ttl, loader, options).finally(() =>
+            inflight.delete(fullKey),
+        );
+        inflight.set(fullKey, pendingLoad);
+        return pendingLoad;
+    };
+
+    // ! Loads the entry unless it stays fresh for at least `ahead` more
+    // ! seconds. Goes through the same lock as a miss, so instances warming
+    // ! at the same time load each key once. Resolves to whether it loaded.
+    const warm = async (
+        key,
+        ttl,
+        loader,
+        { tags = [], version, ahead = 0 } = {},
+    ) => {
+        const fullKey = toKey(key);
+        const entry = await read(key);
+        if (entry && entry.e - Date.now() > ahead * 1000) return false;
+
+        if (!inflight.has(fullKey)) {
+            const load = rebuild(key, ttl, loader, { tags, version }).finally(
+                () => inflight.delete(fullKey),
+            );
+            inflight.set(fullKey, load);
+        }
+        await inflight.get(fullKey);
+        return true;
+    };
+
+    // ! Access counts not yet written to the store, by full key. Shared by
+    // ! every namespace of this cache, like `pending` above.
+    const access = accessCounts ?? { batches: new Map(), timer: null };
+
+    // ! Writes the counted accesses, one store call per counter
+    const flushAccess = async () => {
+        clearTimeout(access.timer);
+        access.timer = null;
+        const batches = access.batches;
+        access.batches = new Map();
+        for (const [fullKey, { counts, ttlSeconds }] of batches) {
+            try {
+                await storeCall(() =>
+                    store.incrementScores(fullKey, counts, ttlSeconds),
+                );
+            } catch (err) {
+                logger.error("Cache access tracking failed", {
+                    key: fullKey,
+                    err,
+                });
+            }
+        }
+    };
+
+    // ! Best-effort access counter under `name`, e.g. to find hot keys.
+    // ! Counted in process and flushed every `accessFlushMs`, so a hit
+    // ! served from L1 doesn't cost a store round trip.
+    const trackAccess = (name, member, ttlSeconds = 86400) => {
+        const fullKey = toKey(name);
+        let batch = access.batches.get(fullKey);
+        if (!batch) {
+            batch = { counts: new Map(), ttlSeconds };
+            access.batches.set(fullKey, batch);
+        }
+        batch.counts.set(`${member}`, (batch.counts.get(`${member}`) ?? 0) + 1);
+        if (!access.timer) {
+            access.timer = setTimeout(flushAccess, accessFlushMs);
+            access.timer.unref();
+        }
+    };
+
+    // ! Most accessed members under `name`, most accessed first
+    const topAccessed = async (name, count) => {
+        await flushAccess();
+        return storeCall(() => store.topScores(toKey(name), count));
+    };
+
+    // ! One SCAN step over keys matching the pattern (relative to the
+    // ! namespace), with each key's type, TTL and size
+    const scan = async (pattern, { cursor = "0", count = 100 } = {}) => {
+        const page = await storeCall(() =>
+            store.scan(toKey(pattern), { cursor, count }),
+        );
+        const keys = await storeCall(() => store.describe(page.keys));
+        return { cursor: page.cursor, keys };
+    };
+
+    const parseStored = (data) => {
+        try {
+            return JSON.parse(data);
+        } catch {
+            return data; // ! e.g. lock tokens
+        }
+    };
+
+    // ! Raw view of a key: its description plus the stored value (strings)
+    // ! or members (sets), null when it doesn't exist
+    const inspect = async (key) => {
+        const fullKey = toKey(key);
+        const [description] = await storeCall(() => store.describe([fullKey]));
+        if (description.type === "none") return null;
+        if (description.type === "string") {
+            const data = await storeCall(() => store.get(fullKey));
+            return { ...description, value: parseStored(data) };
+        }
+        if (description.type === "set") {
+            const members = await storeCall(() => store.getSetMembers(fullKey));
+            return { ...description, members };
+        }
+        if (description.type === "zset") {
+            const members = await storeCall(() =>
+                store.topScores(fullKey, description.size),
+            );
+            return { ...description, members };
+        }
+        return description;
+    };
+
+    // ! Deletes every key matching the pattern, SCAN step by SCAN step so
+    // ! large keyspaces don't block the store. Resolves to the number removed.
+    const purge = async (pattern) => {
+        let cursor = "0";
+        let removed = 0;
+        do {
+            const page = await storeCall(() =>
+                store.scan(toKey(pattern), { cursor, count: 500 }),
+            );
+            if (page.keys.length) {
+                removed += await storeCall(() => store.del(page.keys));
+                countInvalidations(page.keys);
+            }
+            cursor = page.cursor;
+        } while (cursor !== "0");
+        return removed;
+    };
+
+    const withNamespace = (name) =>
+        createCache({
+            store,
+            namespace: toKey(name),
+            defaultTtl,
+            lockLeaseMs,
+            lockPollMs,
+            metrics,
+            breaker,
+            inflight,
+            pendingInvalidations: pending,
+            accessFlushMs,
+            accessCounts: access,
+        });
+
+    return {
+        get,
+        cachedVersion,
+        set,
+        getMany,
+        setMany,
+        del,
+        wrap,
+        warm,
+        invalidateTags,
+        trackAccess,
+        flushAccess,
+        topAccessed,
+        scan,
+        inspect,
+        purge,
+        breaker,
+        store,
+        namespace: withNamespace,
+        toKey,
+    };
+};
@@ -0,0 +1,111 @@
+import { logger } from "../observability/logger.js";
+
+export class CircuitOpenError extends Error {
+    constructor(message = "Circuit breaker is open") {
+        super(message);
+        this.name = "CircuitOpenError";
+        this.status = 503;
+    }
+}
+
+export class TimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Operation timed out after ${timeoutMs} ms`);
+        this.name = "TimeoutError";
+        this.status = 503;
+    }
+}
+
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(
+            () => reject(new TimeoutError(timeoutMs)),
+            timeoutMs,
+        );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Circuit breaker for calls to a flaky dependency (Redis).
+ * - closed: calls run with a timeout; `failureThreshold` consecutive
+ *   failures open the circuit
+ * - open: calls fail fast with CircuitOpenError for `resetTimeoutMs`
+ * - half-open: a single trial call runs; success closes the circuit,
+ *   failure opens it again
+ */
+export const createCircuitBreaker = ({
+    failureThreshold = 5,
+    resetTimeoutMs = 10000,
+    timeoutMs = 500,
+} = {}) => {
+    let state = "closed";
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+    const listeners = [];
+
+    const transition = (next) => {
+        if (state === next) return;
+        const previous = state;
+        state = next;
+        logger.warn("Circuit breaker state changed", {
+            from: previous,
+            to: next,
+        });
+        for (const listener of listeners) listener(next, previous);
+    };
+
+    const onSuccess = () => {
+        failures = 0;
+        transition("closed");
+    };
+
+    const onFailure = () => {
+        failures++;
+        if (state === "half-open" || failures >= failureThreshold) {
+            openedAt = Date.now();
+            transition("open");
+        }
+    };
+
+    const exec = async (fn) => {
+        if (state === "open") {
+            if (Date.now() - openedAt < resetTimeoutMs) {
+                throw new CircuitOpenError();
+            }
+            transition("half-open");
+        }
+
+        const isTrial = state === "half-open";
+        if (isTrial) {
+            if (trialInFlight) throw new CircuitOpenError();
+            trialInFlight = true;
+        }
+
+        try {
+            const result = await withTimeout(
+                Promise.resolve().then(fn),
+                timeoutMs,
+            );
+            onSuccess();
+            return result;
+        } catch (err) {
+            onFailure();
+            throw err;
+        } finally {
+            if (isTrial) trialInFlight = false;
+        }
+    };
+
+    const onStateChange = (listener) => listeners.push(listener);
+
+    return {
+        exec,
+        onStateChange,
+        get state() {
+            return state;
+        },
+    };
+};
@@ -0,0 +1,11 @@
+export { createCache } from "./cache.js";
+export {
+    CircuitOpenError,
+    TimeoutError,
+    createCircuitBreaker,
+} from "./circuitBreaker.js";
+export { createRedisInvalidationBus } from "./invalidationBus.js";
+export { createRedisStore } from "./stores/redisStore.js";
+export { createMemoryStore } from "./stores/memoryStore.js";
+export { createLruStore } from "./stores/lruStore.js";
+export { createTieredStore } from "./stores/tieredStore.js";
@@ -0,0 +1,33 @@
+import { randomUUID } from "node:crypto";
+import { logger } from "../observability/logger.js";
+
+/**
+ * Broadcasts evicted cache keys between instances over Redis pub/sub.
+ * `subscriber` must be a dedicated connection (e.g. redisClient.duplicate()),
+ * since a subscribed client can't run other commands. Messages published by
+ * this instance are ignored on receipt.
+ */
+export const createRedisInvalidationBus = ({
+    publisher,
+    subscriber,
+    channel = "cache:invalidate",
+}) => {
+    const origin = randomUUID();
+
+    const publish = async (keys) => {
+        await publisher.publish(channel, JSON.stringify({ origin, keys }));
+    };
+
+    const subscribe = async (handler) => {
+        await subscriber.subscribe(channel, async (message) => {
+            try {
+                const { origin: sender, keys } = JSON.parse(message);
+                if (sender !== origin) await handler(keys);
+            } catch (err) {
+                logger.error("Failed to apply cache invalidation", { err });
+            }
+        });
+    };
+
+    return { publish, subscribe };
+};
@@ -0,0 +1,22 @@
+import { hashProductListQuery } from "../queries/productListQuery.js";
+
+// ! Keys and TTLs of product cache entries (in the "products" namespace),
+// ! shared by the routes and the cache warmer so both address the same entries
+
+// ! Fresh for 5 minutes, then served stale (and refreshed) for up to an hour
+export const PRODUCT_CACHE_TTL = { ttl: 300, staleTtl: 3300, beta: 1 };
+
+// ! Deleted products are tombstoned for longer than a loader can run
+export const PRODUCT_TOMBSTONE_TTL = 60;
+
+export const productListKey = (query) => `list:${hashProductListQuery(query)}`;
+
+export const productSearchKey = (query) =>
+    `search:${hashProductListQuery(query)}`;
+
+export const PRODUCT_STATS_KEY = "stats";
+
+export const CATEGORIES_KEY = "categories";
+
+// ! Access counter of product ids, used to warm the hottest products
+export const PRODUCT_HITS_KEY = "hits";
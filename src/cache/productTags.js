@@ -0,0 +1,60 @@
+// ! Cache tags for product data, shared by the routes and the
+// ! Postgres change listener so both invalidate the same entries
+
+export const productTag = (id) => `product:${id}`;
+
+export const categoryTag = (category) => `category:${category}`;
+
+export const PRODUCT_LIST_TAG = "products:list";
+
+// ! Stats and category rollups aggregate every product, so any write drops them
+export const PRODUCT_STATS_TAG = "products:stats";
+
+// ! Cached searches are tagged with each product they return, and with
+// ! PRODUCT_SEARCH_TAG for writes that can add matches to any search
+export const productSearchTag = (id) => `search:product:${id}`;
+
+export const PRODUCT_SEARCH_TAG = "products:search";
+
+export const productSearchTags = (products) => [
+    PRODUCT_SEARCH_TAG,
+    ...products.map((product) => productSearchTag(product.id)),
+];
+
+// ! Fields search_vector is built from (see config/db.js)
+const SEARCHABLE_FIELDS = ["name", "description", "category"];
+
+export const changesSearchMatches = (updates) =>
+    SEARCHABLE_FIELDS.some((field) => updates[field] !== undefined);
+
+// ! Searches returning the product, plus every search when the write can
+// ! add matches (inserts and edits of searchable fields)
+export const productSearchWriteTags = (product, addsMatches = false) =>
+    addsMatches
+        ? [productSearchTag(product.id), PRODUCT_SEARCH_TAG]
+        : [productSearchTag(product.id)];
+
+// ! Category listings only change when that category does
+export const productListTags = (query) =>
+    query.category ? [categoryTag(query.category)] : [PRODUCT_LIST_TAG];
+
+// ! Listing and rollup tags touched by a write to a product. Passing the
+// ! category it had before an update also clears listings it was moved out of.
+export const productListingTags = (product, previousCategory) => {
+    const tags = [
+        PRODUCT_LIST_TAG,
+        PRODUCT_STATS_TAG,
+        categoryTag(product.category),
+    ];
+    if (previousCategory && previousCategory !== product.category) {
+        tags.push(categoryTag(previousCategory));
+    }
+    return tags;
+};
+
+// ! Every tag touched by a write to a product, including its own entry
+export const productWriteTags = (product, previousCategory, addsMatches) => [
+    productTag(product.id),
+    ...productListingTags(product, previousCategory),
+    ...productSearchWriteTags(product, addsMatches),
+];
@@ -0,0 +1,129 @@
+import { productListQuerySchema } from "../schemas/productSchema.js";
+import {
+    findCategories,
+    findProduct,
+    findProductPage,
+} from "../queries/productReads.js";
+import {
+    PRODUCT_CACHE_TTL,
+    PRODUCT_HITS_KEY,
+    productListKey,
+} from "./productEntries.js";
+import { productListTags, productTag } from "./productTags.js";
+import { logger } from "../observability/logger.js";
+import { createIntervalJob } from "../jobs/intervalJob.js";
+
+/**
+ * Preloads the product entries hit first after a deploy or a Redis flush:
+ * the default listing, the hottest products (by GET /products/:id hits)
+ * and the first page of every category. The same keys, loaders and tags
+ * as the routes are used, so warmed entries are served and invalidated
+ * like any other.
+ *
+ * `start(intervalSeconds)` re-runs it periodically and reloads entries
+ * that go stale within `refreshAheadSeconds`.
+ */
+export const createProductCacheWarmer = ({
+    pgPool,
+    cache,
+    metrics = null,
+    list = true,
+    hotProducts = 50,
+    categories = true,
+    refreshAheadSeconds = 60,
+}) => {
+    const productCache = cache.namespace("products");
+
+    const listEntry = (query) => ({
+        key: productListKey(query),
+        loader: () => findProductPage(pgPool, query),
+        tags: productListTags(query),
+    });
+
+    const productEntry = (id) => ({
+        key: id,
+        loader: () => findProduct(pgPool, id),
+        tags: [productTag(id)],
+        version: (product) => product.version,
+    });
+
+    // ! Hit counters live in the cache store, so they may be unavailable
+    const hotProductIds = async () => {
+        try {
+            const ids = await productCache.topAccessed(
+                PRODUCT_HITS_KEY,
+                hotProducts,
+            );
+            return ids.map(Number);
+        } catch (err) {
+            logger.warn("Skipping hot products warm-up", { err });
+            return [];
+        }
+    };
+
+    const collectEntries = async () => {
+        const entries = [];
+        // ! Parsing an empty query gives the defaults, i.e. GET /products
+        if (list) entries.push(listEntry(productListQuerySchema.parse({})));
+        if (hotProducts > 0) {
+            entries.push(...(await hotProductIds()).map(productEntry));
+        }
+        if (categories) {
+            for (const category of await findCategories(pgPool)) {
+                // ! One category the query schema refuses mustn't stop
+                // ! the whole warm-up
+                const query = productListQuerySchema.safeParse({ category });
+                if (query.success) entries.push(listEntry(query.data));
+            }
+        }
+        return entries;
+    };
+
+    const run = async (trigger, ahead) => {
+        const end = metrics?.startCacheWarmTimer(trigger);
+        try {
+            const entries = await collectEntries();
+            const results = await Promise.allSettled(
+                entries.map(({ key, loader, tags, version }) =>
+                    productCache.warm(key, PRODUCT_CACHE_TTL, loader, {
+                        tags,
+                        version,
+                        ahead,
+                    }),
+                ),
+            );
+            const loaded = results.filter(
+                (result) => result.status === "fulfilled" && result.value,
+            ).length;
+            const failed = results.filter(
+                (result) => result.status === "rejected",
+            ).length;
+            metrics?.cacheWarmed(trigger, loaded);
+            logger.info("Cache warm-up finished", {
+                trigger,
+                entries: entries.length,
+                loaded,
+                failed,
+            });
+            return { entries: entries.length, loaded, failed };
+        } catch (err) {
+            logger.error("Cache warm-up failed", { trigger, err });
+            return null;
+        } finally {
+            end?.();
+        }
+    };
+
+    // ! Resolves to { entries, loaded, failed }, or null when the entries
+    // ! couldn't be listed. Never rejects, a cold cache only costs slower
+    // ! first requests.
+    const warm = (trigger = "startup") => run(trigger, 0);
+
+    const {
+        trigger: refresh,
+        start,
+        stop,
+    } = createIntervalJob(() => run("refresh", refreshAheadSeconds));
+
+    return { warm, refresh, start, stop };
+};
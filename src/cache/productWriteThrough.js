@@ -0,0 +1,62 @@
+import { PRODUCT_CACHE_TTL, PRODUCT_TOMBSTONE_TTL } from "./productEntries.js";
+import {
+    productListingTags,
+    productSearchWriteTags,
+    productTag,
+    productWriteTags,
+} from "./productTags.js";
+
+/**
+ * Write-through after a committed create or update: listings, rollups and
+ * searches are invalidated and the product entry is replaced with a
+ * compare-and-set on its version, so an older concurrent write can't win.
+ * A deleted row (e.g. stock returned to a deleted product) is never cached,
+ * its entries are only invalidated. `productCache` is the "products"
+ * namespace of the cache.
+ */
+export const writeThroughProduct = async (
+    productCache,
+    product,
+    previousCategory,
+    addsMatches,
+) => {
+    if (product.deleted_at) {
+        await productCache.invalidateTags(
+            productWriteTags(product, previousCategory, addsMatches),
+        );
+        return;
+    }
+    await productCache.invalidateTags([
+        ...productListingTags(product, previousCategory),
+        ...productSearchWriteTags(product, addsMatches),
+    ]);
+    await productCache.set(product.id, product, PRODUCT_CACHE_TTL, {
+        tags: [productTag(product.id)],
+        version: product.version,
+    });
+};
+
+/**
+ * After a committed delete: listings, rollups and searches are invalidated
+ * and each product entry is replaced by a tombstone with the deleted row's
+ * version, so a read that loaded the row before the delete can't cache it
+ * again.
+ */
+export const tombstoneProducts = async (productCache, products) => {
+    if (products.length === 0) return;
+    await productCache.invalidateTags(
+        products.flatMap((product) => [
+            ...productListingTags(product),
+            ...productSearchWriteTags(product),
+        ]),
+    );
+    await productCache.setMany(
+        products.map((product) => ({
+            key: product.id,
+            value: null,
+            ttl: PRODUCT_TOMBSTONE_TTL,
+            tags: [productTag(product.id)],
+            version: product.version,
+        })),
+    );
+};
@@ -0,0 +1,40 @@
+/**
+ * Bounded in-process store used as the L1 tier in front of Redis.
+ * Holds at most `maxEntries` values, evicting the least recently used,
+ * and never keeps a value longer than `maxTtlSeconds`.
+ */
+export const createLruStore = ({ maxEntries = 1000, maxTtlSeconds = 30 }) => {
+    // ! Map iteration order is insertion order, so the first key is the LRU
+    const entries = new Map();
+
+    const get = async (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry.value;
+    };
+
+    const set = async (key, value, ttlSeconds = maxTtlSeconds) => {
+        const ttl = Math.min(ttlSeconds, maxTtlSeconds);
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    const del = async (keys) => {
+        let removed = 0;
+        for (const key of keys) {
+            if (entries.delete(key)) removed++;
+        }
+        return removed;
+    };
+
+    return { get, set, del };
+};
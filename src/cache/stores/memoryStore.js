@@ -0,0 +1,196 @@
+/**
+ * In-process cache store with the same interface as the Redis store.
+ * Meant for tests and local development without a Redis server.
+ */
+export const createMemoryStore = () => {
+    const entries = new Map();
+
+    const isExpired = (entry) =>
+        entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+    // ! Synchronous so lock checks and writes can't interleave
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    };
+
+    const get = async (key) => read(key);
+
+    const set = async (key, value, ttlSeconds) => {
+        entries.set(key, {
+            value,
+            expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+        });
+    };
+
+    // ! Same contract as the Redis Lua script: values are cache envelopes
+    // ! and an entry with a newer "ver" is never overwritten
+    const setIfNewer = async (key, value, version, ttlSeconds) => {
+        const current = read(key);
+        if (current !== null && JSON.parse(current).ver > version) return false;
+        entries.set(key, {
+            value,
+            expiresAt: Date.now() + ttlSeconds * 1000,
+        });
+        return true;
+    };
+
+    const getMany = async (keys) => keys.map(read);
+
+    const setMany = async (entries) => {
+        for (const {
+            key,
+            value,
+            ttlSeconds,
+            version,
+            setKeys = [],
+        } of entries) {
+            if (version === undefined) {
+                await set(key, value, ttlSeconds);
+            } else {
+                await setIfNewer(key, value, version, ttlSeconds);
+            }
+            for (const setKey of setKeys) {
+                await addToSet(setKey, [key], ttlSeconds);
+            }
+        }
+    };
+
+    const del = async (keys) => {
+        let removed = 0;
+        for (const key of keys) {
+            if (entries.delete(key)) removed++;
+        }
+        return removed;
+    };
+
+    const acquireLock = async (key, token, leaseMs) => {
+        if (read(key) !== null) return false;
+        entries.set(key, { value: token, expiresAt: Date.now() + leaseMs });
+        return true;
+    };
+
+    const releaseLock = async (key, token) => {
+        if (read(key) !== token) return 0;
+        entries.delete(key);
+        return 1;
+    };
+
+    const isLocked = async (key) => read(key) !== null;
+
+    const addToSet = async (key, members, ttlSeconds) => {
+        const current = read(key);
+        const values = current instanceof Set ? current : new Set();
+        for (const member of members) values.add(member);
+        const expiresAt = Date.now() + ttlSeconds * 1000;
+        entries.set(key, {
+            value: values,
+            expiresAt: Math.max(expiresAt, entries.get(key)?.expiresAt ?? 0),
+        });
+    };
+
+    const getSetMembers = async (key) => {
+        const current = read(key);
+        return current instanceof Set ? [...current] : [];
+    };
+
+    const invalidateSets = async (keys) => {
+        const removed = [];
+        for (const key of keys) {
+            const members = read(key);
+            if (members instanceof Set) {
+                for (const member of members) {
+                    entries.delete(member);
+                    removed.push(member);
+                }
+            }
+            entries.delete(key);
+        }
+        return removed;
+    };
+
+    const incrementScores = async (key, counts, ttlSeconds) => {
+        const current = read(key);
+        const scores = current instanceof Map ? current : new Map();
+        for (const [member, count] of counts) {
+            scores.set(`${member}`, (scores.get(`${member}`) ?? 0) + count);
+        }
+        entries.set(key, {
+            value: scores,
+            expiresAt: Date.now() + ttlSeconds * 1000,
+        });
+    };
+
+    // ! Highest score first, like ZRANGE ... REV
+    const topScores = async (key, count) => {
+        const current = read(key);
+        if (!(current instanceof Map)) return [];
+        return [...current]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, count)
+            .map(([member]) => member);
+    };
+
+    // ! Redis glob subset: * and ?
+    const patternToRegExp = (pattern) =>
+        new RegExp(
+            `^${pattern
+                .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+                .replace(/\*/g, ".*")
+                .replace(/\?/g, ".")}$`,
+        );
+
+    // ! Returns every match in one step, like a SCAN that completes at once
+    const scan = async (pattern) => {
+        const regExp = patternToRegExp(pattern);
+        const keys = [...entries.keys()].filter(
+            (key) => read(key) !== null && regExp.test(key),
+        );
+        return { cursor: "0", keys };
+    };
+
+    const describeValue = (value) => {
+        if (value instanceof Set) return { type: "set", size: value.size };
+        if (value instanceof Map) return { type: "zset", size: value.size };
+        return { type: "string", size: Buffer.byteLength(value) };
+    };
+
+    const describe = async (keys) =>
+        keys.map((key) => {
+            const value = read(key);
+            if (value === null) return { key, type: "none", ttl: -2, size: 0 };
+            const { expiresAt } = entries.get(key);
+            return {
+                key,
+                ...describeValue(value),
+                ttl:
+                    expiresAt === null
+                        ? -1
+                        : Math.ceil((expiresAt - Date.now()) / 1000),
+            };
+        });
+
+    return {
+        get,
+        set,
+        setIfNewer,
+        getMany,
+        setMany,
+        del,
+        acquireLock,
+        releaseLock,
+        isLocked,
+        addToSet,
+        getSetMembers,
+        invalidateSets,
+        incrementScores,
+        topScores,
+        scan,
+        describe,
+    };
+};
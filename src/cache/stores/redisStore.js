@@ -0,0 +1,220 @@
+import { startSpan } from "../../observability/tracer.js";
+
+// ! Only deletes the lock if it is still held by the caller's token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+// ! Refuses to overwrite an entry whose version ("ver") is newer than ARGV[2]
+const SET_IF_NEWER_SCRIPT = `
+local current = redis.call("GET", KEYS[1])
+if current then
+    local ok, entry = pcall(cjson.decode, current)
+    if ok and type(entry) == "table" and entry.ver and tonumber(entry.ver) > tonumber(ARGV[2]) then
+        return 0
+    end
+end
+redis.call("SET", KEYS[1], ARGV[1], "EX", ARGV[3])
+return 1
+`;
+
+// ! Deletes every member of the given sets, then the sets themselves, in one
+// ! atomic round trip. Returns the deleted member keys.
+const INVALIDATE_SETS_SCRIPT = `
+local removed = {}
+for _, setKey in ipairs(KEYS) do
+    for _, member in ipairs(redis.call("SMEMBERS", setKey)) do
+        redis.call("DEL", member)
+        table.insert(removed, member)
+    end
+    redis.call("DEL", setKey)
+end
+return removed
+`;
+
+// ! Type, TTL (seconds, -1 without expiry) and size of each key: bytes for
+// ! strings, members for sets and sorted sets. Missing keys get type "none".
+const DESCRIBE_KEYS_SCRIPT = `
+local described = {}
+for _, key in ipairs(KEYS) do
+    local keyType = redis.call("TYPE", key).ok
+    local size = 0
+    if keyType == "string" then
+        size = redis.call("STRLEN", key)
+    elseif keyType == "set" then
+        size = redis.call("SCARD", key)
+    elseif keyType == "zset" then
+        size = redis.call("ZCARD", key)
+    end
+    table.insert(described, { keyType, redis.call("TTL", key), size })
+end
+return described
+`;
+
+/**
+ * Cache store backed by a connected node-redis client.
+ * Values are stored as strings; serialization is handled by the cache layer.
+ * With `metrics`, every call is timed under its store method name. Calls
+ * made while serving a request are recorded as spans of its trace.
+ */
+export const createRedisStore = (redisClient, { metrics = null } = {}) => {
+    const timed =
+        (command, fn) =>
+        async (...args) => {
+            const end = metrics?.startRedisTimer(command);
+            const endSpan = startSpan(`redis.${command}`, {
+                "db.system": "redis",
+                "db.operation": command,
+            });
+            let error;
+            try {
+                return await fn(...args);
+            } catch (err) {
+                error = err;
+                throw err;
+            } finally {
+                end?.();
+                endSpan({ error });
+            }
+        };
+
+    const get = (key) => redisClient.get(key);
+
+    const set = (key, value, ttlSeconds) =>
+        redisClient.setEx(key, ttlSeconds, value);
+
+    const getMany = async (keys) => {
+        if (keys.length === 0) return [];
+        return redisClient.mGet(keys);
+    };
+
+    // ! Writes many entries in one MULTI round trip. Each entry is
+    // ! { key, value, ttlSeconds, version?, setKeys? }: versioned entries use
+    // ! the compare-and-set script and the key is added to every set in setKeys.
+    const setMany = async (entries) => {
+        if (entries.length === 0) return;
+        const multi = redisClient.multi();
+        for (const {
+            key,
+            value,
+            ttlSeconds,
+            version,
+            setKeys = [],
+        } of entries) {
+            if (version === undefined) {
+                multi.setEx(key, ttlSeconds, value);
+            } else {
+                multi.eval(SET_IF_NEWER_SCRIPT, {
+                    keys: [key],
+                    arguments: [value, `${version}`, `${ttlSeconds}`],
+                });
+            }
+            for (const setKey of setKeys) {
+                multi
+                    .sAdd(setKey, [key])
+                    .expire(setKey, ttlSeconds, "NX")
+                    .expire(setKey, ttlSeconds, "GT");
+            }
+        }
+        await multi.exec();
+    };
+
+    const setIfNewer = async (key, value, version, ttlSeconds) => {
+        const stored = await redisClient.eval(SET_IF_NEWER_SCRIPT, {
+            keys: [key],
+            arguments: [value, `${version}`, `${ttlSeconds}`],
+        });
+        return stored === 1;
+    };
+
+    const del = async (keys) => {
+        if (keys.length === 0) return 0;
+        return redisClient.del(keys);
+    };
+
+    const acquireLock = async (key, token, leaseMs) => {
+        const reply = await redisClient.set(key, token, {
+            expiration: { type: "PX", value: leaseMs },
+            condition: "NX",
+        });
+        return reply === "OK";
+    };
+
+    const releaseLock = (key, token) =>
+        redisClient.eval(RELEASE_LOCK_SCRIPT, {
+            keys: [key],
+            arguments: [token],
+        });
+
+    const isLocked = async (key) => (await redisClient.exists(key)) === 1;
+
+    const addToSet = async (key, members, ttlSeconds) => {
+        await redisClient
+            .multi()
+            .sAdd(key, members)
+            // ! Never shorten the set's TTL below an entry it still tracks
+            .expire(key, ttlSeconds, "NX")
+            .expire(key, ttlSeconds, "GT")
+            .exec();
+    };
+
+    const getSetMembers = (key) => redisClient.sMembers(key);
+
+    // ! Access counters, e.g. for picking the hottest keys to warm. The TTL is
+    // ! refreshed on every hit, so idle counters eventually disappear.
+    // ! `counts` maps members to the amount added to their score
+    const incrementScores = async (key, counts, ttlSeconds) => {
+        const multi = redisClient.multi();
+        for (const [member, count] of counts) {
+            multi.zIncrBy(key, count, `${member}`);
+        }
+        await multi.expire(key, ttlSeconds).exec();
+    };
+
+    const topScores = (key, count) =>
+        redisClient.zRange(key, 0, count - 1, { REV: true });
+
+    // ! One SCAN step, "0" as the returned cursor means the scan is complete
+    const scan = (pattern, { cursor = "0", count = 100 } = {}) =>
+        redisClient.scan(cursor, { MATCH: pattern, COUNT: count });
+
+    const describe = async (keys) => {
+        if (keys.length === 0) return [];
+        const described = await redisClient.eval(DESCRIBE_KEYS_SCRIPT, {
+            keys,
+        });
+        return described.map(([type, ttl, size], i) => ({
+            key: keys[i],
+            type,
+            ttl,
+            size,
+        }));
+    };
+
+    const invalidateSets = async (keys) => {
+        if (keys.length === 0) return [];
+        return redisClient.eval(INVALIDATE_SETS_SCRIPT, { keys });
+    };
+
+    return {
+        get: timed("get", get),
+        set: timed("set", set),
+        setIfNewer: timed("setIfNewer", setIfNewer),
+        getMany: timed("getMany", getMany),
+        setMany: timed("setMany", setMany),
+        del: timed("del", del),
+        acquireLock: timed("acquireLock", acquireLock),
+        releaseLock: timed("releaseLock", releaseLock),
+        isLocked: timed("isLocked", isLocked),
+        addToSet: timed("addToSet", addToSet),
+        getSetMembers: timed("getSetMembers", getSetMembers),
+        invalidateSets: timed("invalidateSets", invalidateSets),
+        incrementScores: timed("incrementScores", incrementScores),
+        topScores: timed("topScores", topScores),
+        scan: timed("scan", scan),
+        describe: timed("describe", describe),
+    };
+};
@@ -0,0 +1,110 @@
+import { logger } from "../../observability/logger.js";
+
+/**
+ * Two-tier store: a local LRU (L1) in front of a shared store (L2, Redis).
+ * Reads are served from L1 when possible. Writes and deletes go to both
+ * tiers and are broadcast on the invalidation bus so other instances evict
+ * their L1 copies. Locks, tag sets and access counters always live in L2.
+ */
+export const createTieredStore = ({ local, remote, bus = null }) => {
+    const broadcast = async (keys) => {
+        if (!bus || keys.length === 0) return;
+        try {
+            await bus.publish(keys);
+        } catch (err) {
+            logger.error("Failed to broadcast cache invalidation", { err });
+        }
+    };
+
+    const get = async (key) => {
+        const cached = await local.get(key);
+        if (cached !== null) return cached;
+
+        const value = await remote.get(key);
+        if (value !== null) await local.set(key, value);
+        return value;
+    };
+
+    const set = async (key, value, ttlSeconds) => {
+        await remote.set(key, value, ttlSeconds);
+        await local.set(key, value, ttlSeconds);
+        await broadcast([key]);
+    };
+
+    const setIfNewer = async (key, value, version, ttlSeconds) => {
+        const stored = await remote.setIfNewer(key, value, version, ttlSeconds);
+        if (stored) {
+            await local.set(key, value, ttlSeconds);
+        } else {
+            await local.del([key]);
+        }
+        await broadcast([key]);
+        return stored;
+    };
+
+    const getMany = async (keys) => {
+        const values = await Promise.all(keys.map((key) => local.get(key)));
+        const missing = keys.filter((_, i) => values[i] === null);
+        if (missing.length === 0) return values;
+
+        const fetched = await remote.getMany(missing);
+        const byKey = new Map(missing.map((key, i) => [key, fetched[i]]));
+        for (const [key, value] of byKey) {
+            if (value !== null) await local.set(key, value);
+        }
+        return keys.map((key, i) => values[i] ?? byKey.get(key) ?? null);
+    };
+
+    // ! Versioned writes may be refused remotely, so those are only evicted
+    // ! locally and picked up from L2 on the next read
+    const setMany = async (entries) => {
+        await remote.setMany(entries);
+        for (const { key, value, ttlSeconds, version } of entries) {
+            if (version === undefined) {
+                await local.set(key, value, ttlSeconds);
+            } else {
+                await local.del([key]);
+            }
+        }
+        await broadcast(entries.map(({ key }) => key));
+    };
+
+    const del = async (keys) => {
+        await local.del(keys);
+        const removed = await remote.del(keys);
+        await broadcast(keys);
+        return removed;
+    };
+
+    const invalidateSets = async (keys) => {
+        const removed = await remote.invalidateSets(keys);
+        await local.del(removed);
+        await broadcast(removed);
+        return removed;
+    };
+
+    // ! Starts evicting L1 copies of keys changed by other instances
+    const subscribe = async () => {
+        if (bus) await bus.subscribe((keys) => local.del(keys));
+    };
+
+    return {
+        get,
+        set,
+        setIfNewer,
+        getMany,
+        setMany,
+        del,
+        subscribe,
+        acquireLock: remote.acquireLock,
+        releaseLock: remote.releaseLock,
+        isLocked: remote.isLocked,
+        addToSet: remote.addToSet,
+        getSetMembers: remote.getSetMembers,
+        invalidateSets,
+        incrementScores: remote.incrementScores,
+        topScores: remote.topScores,
+        scan: remote.scan,
+        describe: remote.describe,
+    };
+};
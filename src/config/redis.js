@@ -1,4 +1,5 @@
 import { createClient } from "redis";
+import { logger } from "../observability/logger.js";
 
 export const createRedisClient = ({ host, port }) => {
     const client = createClient({
@@ -6,8 +7,11 @@ export const createRedisClient = ({ host, port }) => {
             host,
             port,
         },
+        // ! Fail commands while disconnected instead of queueing them, so the
+        // ! cache circuit breaker sees the outage and falls back to Postgres
+        disableOfflineQueue: true,
     });
-    client.on("error", (err) => console.error("Redis Client Error", err));
+    client.on("error", (err) => logger.error("Redis client error", { err }));
     return client;
 };
 
@@ -15,17 +19,19 @@ export const connectWithRetry = async (client, retries = 3, delay = 1000) => {
     for (let i = 1; i <= retries; i++) {
         try {
             await client.connect();
-            console.log("Connected to Redis");
+            logger.info("Connected to Redis");
             return;
         } catch (err) {
-            console.error(`Failed to connect to Redis (attempt: ${i}): `, err);
+            logger.error("Failed to connect to Redis", { attempt: i, err });
             if (i <= retries) {
                 const backoff = delay * i;
-                console.log(`Retrying in ${backoff} ms....`);
+                logger.info("Retrying Redis connection", {
+                    backoffMs: backoff,
+                });
                 await new Promise((resolve) => setTimeout(resolve, backoff));
             } else {
-                console.error(
-                    `Could not conenct to Redis after multiple attempts.`,
+                logger.error(
+                    "Could not connect to Redis after multiple attempts",
                 );
                 throw err;
             }
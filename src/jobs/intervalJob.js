@@ -0,0 +1,30 @@
+/**
+ * Runs `run` every `start(intervalSeconds)` seconds. `trigger()` runs it
+ * right away, or returns the run still in progress: a tick never starts
+ * while the previous run is going. The timer doesn't keep the process up.
+ */
+export const createIntervalJob = (run) => {
+    let timer = null;
+    let running = null;
+
+    const trigger = () => {
+        if (running) return running;
+        running = run().finally(() => {
+            running = null;
+        });
+        return running;
+    };
+
+    const start = (intervalSeconds) => {
+        stop();
+        timer = setInterval(trigger, intervalSeconds * 1000);
+        timer.unref();
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return { trigger, start, stop };
+};
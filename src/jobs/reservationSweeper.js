@@ -0,0 +1,47 @@
+import { expireReservations } from "../queries/reservations.js";
+import { writeThroughProduct } from "../cache/productWriteThrough.js";
+import { logger } from "../observability/logger.js";
+import { createIntervalJob } from "./intervalJob.js";
+
+/**
+ * Releases reservations left held past their expiry and writes the
+ * restocked products through to the cache. Safe to run on every instance
+ * at once, each expired reservation is released exactly once.
+ */
+export const createReservationSweeper = ({
+    pgPool,
+    cache,
+    batchSize = 500,
+}) => {
+    const productCache = cache.namespace("products");
+
+    // ! Resolves to the number of restocked products, or null on error
+    const run = async () => {
+        try {
+            let restocked = 0;
+            let products;
+            do {
+                products = await expireReservations(pgPool, {
+                    limit: batchSize,
+                });
+                for (const product of products) {
+                    await writeThroughProduct(productCache, product);
+                }
+                restocked += products.length;
+            } while (products.length > 0);
+            if (restocked > 0) {
+                logger.info("Reservation sweep restocked products", {
+                    restocked,
+                });
+            }
+            return restocked;
+        } catch (err) {
+            logger.error("Reservation sweep failed", { err });
+            return null;
+        }
+    };
+
+    const { trigger: sweep, start, stop } = createIntervalJob(run);
+
+    return { sweep, start, stop };
+};
@@ -0,0 +1,135 @@
+import { Client } from "pg";
+import { PRODUCTS_CHANNEL } from "../config/db.js";
+import {
+    productListingTags,
+    productSearchWriteTags,
+    productTag,
+} from "../cache/productTags.js";
+import { logger } from "../observability/logger.js";
+
+/**
+ * Listens on the products NOTIFY channel with a dedicated connection and
+ * invalidates the cache for every changed row, so writes made outside the
+ * API (migrations, psql, other services) don't leave stale entries behind.
+ * Reconnects with exponential backoff when the connection drops. Changes
+ * made while it was down are never notified, so the product cache is
+ * purged once it listens again.
+ */
+export const startProductChangeListener = ({
+    pgConfig,
+    cache,
+    retryDelay = 1000,
+    maxRetryDelay = 30000,
+}) => {
+    let client = null;
+    let reconnectTimer = null;
+    let attempt = 0;
+    let stopped = false;
+    const productCache = cache.namespace("products");
+
+    // ! API writes are notified too, after they wrote the product through
+    // ! (or tombstoned it). An entry already at the notified version (or
+    // ! newer) is kept. When the store can't be read the entry counts as
+    // ! stale, so invalidateTags still runs and queues it.
+    const isCached = async (change) => {
+        if (change.op === "DELETE" || change.version === undefined) {
+            return false;
+        }
+        try {
+            const cached = await productCache.cachedVersion(change.id);
+            return cached !== null && cached >= change.version;
+        } catch {
+            return false;
+        }
+    };
+
+    const handleNotification = async ({ channel, payload }) => {
+        if (channel !== PRODUCTS_CHANNEL) return;
+        try {
+            const change = JSON.parse(payload);
+            const tags = [
+                ...productListingTags(change, change.previous_category),
+                ...productSearchWriteTags(
+                    change,
+                    change.op === "INSERT" || change.search_changed,
+                ),
+            ];
+            if (!(await isCached(change))) tags.push(productTag(change.id));
+            await cache.invalidateTags(tags);
+            logger.debug("Cache invalidated by product change", {
+                op: change.op,
+                id: change.id,
+            });
+        } catch (err) {
+            logger.error("Failed to handle product change", { err });
+        }
+    };
+
+    const purgeMissedChanges = async () => {
+        try {
+            const removed = await productCache.purge("*");
+            logger.warn("Purged product cache after listener reconnect", {
+                removed,
+            });
+        } catch (err) {
+            logger.error("Failed to purge product cache after reconnect", {
+                err,
+            });
+        }
+    };
+
+    const scheduleReconnect = () => {
+        if (stopped || reconnectTimer) return;
+        const failed = client;
+        client = null;
+        if (failed) {
+            failed.removeAllListeners();
+            // ! Swallow late errors from the dead connection
+            failed.on("error", () => {});
+            failed.end().catch(() => {});
+        }
+
+        const backoff = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+        attempt++;
+        logger.info("Reconnecting product change listener", {
+            backoffMs: backoff,
+        });
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connect();
+        }, backoff);
+    };
+
+    const connect = async () => {
+        client = new Client(pgConfig);
+        client.on("notification", handleNotification);
+        client.on("error", (err) => {
+            logger.error("Product change listener error", { err });
+            scheduleReconnect();
+        });
+        client.on("end", scheduleReconnect);
+
+        try {
+            await client.connect();
+            await client.query(`LISTEN ${PRODUCTS_CHANNEL}`);
+            const reconnected = attempt > 0;
+            attempt = 0;
+            logger.info("Listening for product changes", {
+                channel: PRODUCTS_CHANNEL,
+            });
+            if (reconnected) await purgeMissedChanges();
+        } catch (err) {
+            logger.error("Failed to start product change listener", { err });
+            scheduleReconnect();
+        }
+    };
+
+    const stop = async () => {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        if (client) await client.end();
+    };
+
+    connect();
+    return { stop };
+};
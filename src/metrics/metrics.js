@@ -0,0 +1,160 @@
+import client from "prom-client";
+import { startSpan } from "../observability/tracer.js";
+
+// ! Buckets in seconds, tuned for sub-millisecond Redis up to slow queries
+const LATENCY_BUCKETS = [
+    0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5,
+];
+
+/**
+ * Prometheus metrics for the cache, Redis, Postgres and HTTP requests.
+ * Each call creates its own registry, so several apps (e.g. in tests)
+ * don't clash on metric names.
+ */
+export const createMetrics = ({ collectDefaults = true } = {}) => {
+    const register = new client.Registry();
+    if (collectDefaults) client.collectDefaultMetrics({ register });
+
+    const counter = (name, help) =>
+        new client.Counter({
+            name,
+            help,
+            labelNames: ["namespace"],
+            registers: [register],
+        });
+
+    const cacheHits = counter(
+        "cache_hits_total",
+        "Cache lookups served from cache",
+    );
+    const cacheMisses = counter(
+        "cache_misses_total",
+        "Cache lookups that ran the loader",
+    );
+    const cacheSets = counter(
+        "cache_sets_total",
+        "Entries written to the cache",
+    );
+    const cacheInvalidations = counter(
+        "cache_invalidations_total",
+        "Entries removed from the cache",
+    );
+    const cacheErrors = counter(
+        "cache_errors_total",
+        "Failed cache operations",
+    );
+
+    const redisDuration = new client.Histogram({
+        name: "redis_command_duration_seconds",
+        help: "Redis command latency",
+        labelNames: ["command"],
+        buckets: LATENCY_BUCKETS,
+        registers: [register],
+    });
+
+    const postgresDuration = new client.Histogram({
+        name: "postgres_query_duration_seconds",
+        help: "Postgres query latency",
+        buckets: LATENCY_BUCKETS,
+        registers: [register],
+    });
+
+    const requestDuration = new client.Histogram({
+        name: "http_request_duration_seconds",
+        help: "HTTP request duration",
+        labelNames: ["method", "route", "status_code"],
+        buckets: LATENCY_BUCKETS,
+        registers: [register],
+    });
+
+    const cacheWarmDuration = new client.Histogram({
+        name: "cache_warm_duration_seconds",
+        help: "Duration of cache warm-up and refresh runs",
+        labelNames: ["trigger"],
+        buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+        registers: [register],
+    });
+
+    const cacheWarmEntries = new client.Counter({
+        name: "cache_warm_entries_total",
+        help: "Entries loaded by cache warm-up and refresh runs",
+        labelNames: ["trigger"],
+        registers: [register],
+    });
+
+    const rateLimitDecisions = new client.Counter({
+        name: "rate_limit_requests_total",
+        help: "Rate limit decisions (allowed, limited or failed_open)",
+        labelNames: ["policy", "outcome"],
+        registers: [register],
+    });
+
+    return {
+        register,
+        cacheHit: (namespace) => cacheHits.inc({ namespace }),
+        cacheMiss: (namespace) => cacheMisses.inc({ namespace }),
+        cacheSet: (namespace) => cacheSets.inc({ namespace }),
+        cacheInvalidation: (namespace, count = 1) =>
+            cacheInvalidations.inc({ namespace }, count),
+        cacheError: (namespace) => cacheErrors.inc({ namespace }),
+        startRedisTimer: (command) => redisDuration.startTimer({ command }),
+        startPostgresTimer: () => postgresDuration.startTimer(),
+        startRequestTimer: () => requestDuration.startTimer(),
+        startCacheWarmTimer: (trigger) =>
+            cacheWarmDuration.startTimer({ trigger }),
+        cacheWarmed: (trigger, count) =>
+            cacheWarmEntries.inc({ trigger }, count),
+        rateLimitDecision: (policy, outcome) =>
+            rateLimitDecisions.inc({ policy, outcome }),
+    };
+};
+
+// ! Top-level segment of a cache key, e.g. "products:list:ab12" -> "products"
+export const keyNamespace = (key) => `${key}`.split(":")[0];
+
+// ! Statement text for spans, whitespace collapsed and capped
+const statementOf = (query) =>
+    `${typeof query === "string" ? query : (query?.text ?? "")}`
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, 500);
+
+/**
+ * Times every query run by the pool's clients, including clients checked
+ * out with pool.connect(), and records it as a span of the current
+ * request's trace. Must be called before the pool connects.
+ */
+export const instrumentPgPool = (pgPool, metrics) => {
+    pgPool.on("connect", (pgClient) => {
+        const query = pgClient.query.bind(pgClient);
+        pgClient.query = (...args) => {
+            const endTimer = metrics.startPostgresTimer();
+            const endSpan = startSpan("pg.query", {
+                "db.system": "postgresql",
+                "db.statement": statementOf(args[0]),
+            });
+            const end = (error) => {
+                endTimer();
+                endSpan({ error });
+            };
+
+            const callback = args[args.length - 1];
+            if (typeof callback === "function") {
+                args[args.length - 1] = (...results) => {
+                    end(results[0]);
+                    callback(...results);
+                };
+                return query(...args);
+            }
+
+            const result = query(...args);
+            if (result && typeof result.then === "function") {
+                result.then(() => end(), end);
+            } else {
+                end();
+            }
+            return result;
+        };
+    });
+    return pgPool;
+};
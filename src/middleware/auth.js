@@ -0,0 +1,183 @@
+import {
+    createHash,
+    createHmac,
+    randomBytes,
+    timingSafeEqual,
+} from "node:crypto";
+import { findApiKey } from "../queries/apiKeys.js";
+
+// ! Ordered, each role includes the permissions of the ones before it
+export const ROLES = ["reader", "editor", "admin"];
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// ! Reads need the reader role, everything else editor
+export const roleForMethod = (req) =>
+    SAFE_METHODS.has(req.method) ? "reader" : "editor";
+
+// ! Stable id of the caller for per-client state (rate limits, idempotency
+// ! keys): the API key or JWT subject, the IP for anonymous callers
+export const clientId = ({ auth, ip }) => {
+    if (!auth?.subject) return `ip:${ip}`;
+    return auth.type === "jwt" ? `jwt:${auth.subject}` : auth.subject;
+};
+
+const hasRole = (granted, required) =>
+    ROLES.indexOf(granted) >= ROLES.indexOf(required);
+
+// ! Hashing first gives equal-length buffers for timingSafeEqual
+const digest = (value) => createHash("sha256").update(value).digest();
+const safeEqual = (a, b) => timingSafeEqual(digest(a), digest(b));
+
+export const hashApiKey = (key) => digest(key).toString("hex");
+
+export const generateApiKey = () =>
+    `dqc_${randomBytes(24).toString("base64url")}`;
+
+const decodeSegment = (segment) =>
+    JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+/**
+ * Verifies an HS256 JWT and returns its claims. Returns null when the
+ * token is malformed, not HS256, badly signed, without `exp`, expired,
+ * not yet valid or issued for another issuer/audience.
+ */
+export const verifyJwt = (
+    token,
+    secret,
+    { issuer, audience, clockSkewSeconds = 30, now = Date.now() } = {},
+) => {
+    const parts = token.split(".");
+    if (parts.length !== 3) return null;
+    const [header, payload, signature] = parts;
+
+    let claims;
+    try {
+        // ! Pinning the algorithm rules out "none" and key confusion
+        if (decodeSegment(header).alg !== "HS256") return null;
+        claims = decodeSegment(payload);
+    } catch {
+        return null;
+    }
+
+    const expected = createHmac("sha256", secret)
+        .update(`${header}.${payload}`)
+        .digest();
+    const provided = Buffer.from(signature, "base64url");
+    if (
+        provided.length !== expected.length ||
+        !timingSafeEqual(provided, expected)
+    ) {
+        return null;
+    }
+
+    const seconds = now / 1000;
+    if (typeof claims.exp !== "number") return null;
+    if (seconds > claims.exp + clockSkewSeconds) return null;
+    if (
+        typeof claims.nbf === "number" &&
+        seconds < claims.nbf - clockSkewSeconds
+    ) {
+        return null;
+    }
+    if (issuer && claims.iss !== issuer) return null;
+    if (audience && ![].concat(claims.aud ?? []).includes(audience)) {
+        return null;
+    }
+    return claims;
+};
+
+const API_KEY_PREFIX = "apikey:";
+
+/**
+ * Authentication and role checks. A caller is identified by one of:
+ * - `X-API-Key: <key>`, looked up by hash in Postgres and cached for
+ *   `apiKeyTtl` seconds (so a revoked key works at most that long). Unknown
+ *   keys are cached for `apiKeyMissTtl` seconds.
+ * - `Authorization: Bearer <jwt>`, an HS256 JWT with a `role` claim
+ * - `Authorization: Bearer <adminToken>`, the static admin token
+ * Callers without credentials get `anonymousRole` (none by default).
+ */
+export const createAuth = ({
+    pgPool,
+    cache,
+    jwtSecret,
+    jwtIssuer,
+    jwtAudience,
+    adminToken,
+    apiKeyTtl = 60,
+    apiKeyMissTtl = 10,
+    anonymousRole = null,
+}) => {
+    const authCache = cache.namespace("auth");
+
+    const fromApiKey = async (key) => {
+        const keyHash = hashApiKey(key);
+        const cacheKey = `${API_KEY_PREFIX}${keyHash}`;
+        const apiKey = await authCache.wrap(cacheKey, apiKeyTtl, () =>
+            findApiKey(pgPool, keyHash),
+        );
+        // ! wrap doesn't cache null, a miss is stored as false so repeated
+        // ! unknown keys don't each cost a Postgres lookup
+        if (apiKey === null)
+            await authCache.set(cacheKey, false, apiKeyMissTtl);
+        return apiKey
+            ? { type: "apiKey", subject: `apikey:${apiKey.id}`, ...apiKey }
+            : null;
+    };
+
+    const fromBearer = (token) => {
+        if (adminToken && safeEqual(token, adminToken)) {
+            return {
+                type: "adminToken",
+                subject: "admin-token",
+                role: "admin",
+            };
+        }
+        if (!jwtSecret) return null;
+        const claims = verifyJwt(token, jwtSecret, {
+            issuer: jwtIssuer,
+            audience: jwtAudience,
+        });
+        if (!claims || !ROLES.includes(claims.role)) return null;
+        return { type: "jwt", subject: claims.sub, role: claims.role };
+    };
+
+    // ! undefined without credentials, null for invalid ones
+    const identify = async (req) => {
+        const apiKey = req.get("X-API-Key");
+        if (apiKey) return fromApiKey(apiKey);
+        const [scheme, token] = (req.get("Authorization") ?? "").split(" ");
+        if (!scheme) return undefined;
+        if (scheme !== "Bearer" || !token) return null;
+        return fromBearer(token);
+    };
+
+    const unauthorized = (res) =>
+        res
+            .status(401)
+            .set("WWW-Authenticate", 'Bearer realm="api"')
+            .json({ error: "Unauthorized" });
+
+    /**
+     * Sets `req.auth` to `{ type, subject, role }` and requires `role`, a
+     * role name or a function of the request (e.g. roleForMethod).
+     * 401 for missing or invalid credentials, 403 for a lower role.
+     */
+    const authorize = (role) => async (req, res, next) => {
+        const required = typeof role === "function" ? role(req) : role;
+        const principal = await identify(req);
+        if (principal === null) return unauthorized(res);
+
+        req.auth = principal ?? {
+            type: "anonymous",
+            subject: null,
+            role: anonymousRole,
+        };
+        if (hasRole(req.auth.role, required)) return next();
+        if (principal === undefined) return unauthorized(res);
+        res.status(403).json({ error: "Forbidden" });
+    };
+
+    return { authorize };
+};
@@ -1,5 +1,7 @@
+import { logger } from "../observability/logger.js";
+
 export const errorHandler = (err, req, res, next) => {
-    console.error(`[${new Date().toISOString()}] - Error: ${err.message}`);
+    logger.error("Request failed", { err });
     res.status(err.status || 500).json({
         error: err.message || "Internal Server Error",
     });
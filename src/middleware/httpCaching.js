@@ -0,0 +1,35 @@
+import { createHash } from "node:crypto";
+
+// ! Strong ETag of a JSON payload. Rows straight from Postgres and their
+// ! cached (JSON round-tripped) copies serialize identically.
+export const computeEtag = (body) =>
+    `"${createHash("sha1").update(JSON.stringify(body)).digest("base64url")}"`;
+
+// ! Default Cache-Control of product and category GET routes: clients may
+// ! store responses but revalidate them (ETag) on every use
+export const DEFAULT_CACHE_CONTROL = "public, max-age=0, must-revalidate";
+
+export const cacheControl = (value) => (req, res, next) => {
+    if (value) res.set("Cache-Control", value);
+    next();
+};
+
+/**
+ * Sends `body` with ETag and Last-Modified validators. Express answers
+ * If-None-Match / If-Modified-Since with 304 when they match (req.fresh).
+ */
+export const sendWithValidators = (res, body, { lastModified } = {}) => {
+    res.set("ETag", computeEtag(body));
+    if (lastModified) {
+        res.set("Last-Modified", new Date(lastModified).toUTCString());
+    }
+    res.json(body);
+};
+
+// ! True when an If-Match header is present and matches none of `etag` or *
+export const ifMatchFails = (req, etag) => {
+    const header = req.get("If-Match");
+    if (!header) return false;
+    const candidates = header.split(",").map((tag) => tag.trim());
+    return !candidates.includes("*") && !candidates.includes(etag);
+};
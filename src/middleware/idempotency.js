@@ -0,0 +1,134 @@
+import { createHash, randomUUID } from "node:crypto";
+import { clientId } from "./auth.js";
+import { logger } from "../observability/logger.js";
+
+const IDEMPOTENCY_KEY = /^[\x21-\x7e]{1,255}$/;
+
+const fingerprint = (body) =>
+    createHash("sha256")
+        .update(JSON.stringify(body ?? null))
+        .digest("base64url");
+
+/**
+ * `Idempotency-Key` support for non-idempotent writes, stored in the cache
+ * store under "idempotency:<client>:<method>:<path>:<key>":
+ * - the first request claims the key (SET NX, `lockSeconds` lease) and
+ *   runs; its response is stored for `ttlSeconds` before it is sent
+ * - a retry with the same body replays the stored response, marked with
+ *   `Idempotent-Replayed: true`
+ * - a retry with a different body gets 422, one that arrives while the
+ *   first is still running gets 409
+ * 5xx responses aren't stored, the claim is dropped so the client can
+ * retry. Requests without the header run as usual. When the store is
+ * unavailable requests with the header get 503, running them could
+ * create duplicates.
+ */
+export const createIdempotency = ({
+    cache,
+    ttlSeconds = 86400,
+    lockSeconds = 60,
+}) => {
+    const { store, breaker } = cache;
+    const storeCall = (fn) => breaker.exec(fn);
+
+    const conflict = (res, status, error) => res.status(status).json({ error });
+
+    return async (req, res, next) => {
+        const key = req.get("Idempotency-Key");
+        if (key === undefined) return next();
+        if (!IDEMPOTENCY_KEY.test(key)) {
+            return res.status(400).json({
+                error: "Idempotency-Key must be 1 to 255 printable characters",
+            });
+        }
+
+        const path = `${req.baseUrl}${req.path}`;
+        const storeKey = `idempotency:${clientId(req)}:${req.method}:${path}:${key}`;
+        const bodyHash = fingerprint(req.body);
+        const token = randomUUID();
+
+        let claimed;
+        let stored;
+        try {
+            claimed = await storeCall(() =>
+                store.acquireLock(
+                    storeKey,
+                    JSON.stringify({ state: "processing", bodyHash, token }),
+                    lockSeconds * 1000,
+                ),
+            );
+            if (!claimed) stored = await storeCall(() => store.get(storeKey));
+        } catch (err) {
+            logger.error("Idempotency store unavailable", { err });
+            return res
+                .status(503)
+                .json({ error: "Idempotency-Key can't be honored right now" });
+        }
+
+        if (!claimed) {
+            // ! The claim expired between SET NX and GET, treat as in progress
+            const record = stored
+                ? JSON.parse(stored)
+                : { state: "processing" };
+            if (record.bodyHash && record.bodyHash !== bodyHash) {
+                return conflict(
+                    res,
+                    422,
+                    "Idempotency-Key was used with a different request body",
+                );
+            }
+            if (record.state !== "completed") {
+                return conflict(
+                    res,
+                    409,
+                    "A request with this Idempotency-Key is still in progress",
+                );
+            }
+            res.set("Idempotent-Replayed", "true");
+            return res.status(record.status).json(record.body);
+        }
+
+        const release = () =>
+            storeCall(() => store.del([storeKey])).catch((err) =>
+                logger.error("Failed to release idempotency key", {
+                    key: storeKey,
+                    err,
+                }),
+            );
+        const complete = (status, body) =>
+            storeCall(() =>
+                store.set(
+                    storeKey,
+                    JSON.stringify({
+                        state: "completed",
+                        bodyHash,
+                        status,
+                        body,
+                    }),
+                    ttlSeconds,
+                ),
+            ).catch((err) =>
+                logger.error("Failed to store idempotent response", {
+                    key: storeKey,
+                    err,
+                }),
+            );
+
+        // ! The response is stored before it is sent, so a retry that
+        // ! follows it always finds it
+        let settled = false;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            settled = true;
+            const status = res.statusCode;
+            const saved = status >= 500 ? release() : complete(status, body);
+            saved.finally(() => json(body));
+            return res;
+        };
+        // ! Responses sent without res.json aren't replayable
+        res.on("finish", () => {
+            if (!settled) release();
+        });
+        next();
+    };
+};
@@ -0,0 +1,74 @@
+import { createCircuitBreaker } from "../cache/index.js";
+import { DEFAULT_RATE_LIMITS } from "../rateLimit/policies.js";
+import { clientId } from "./auth.js";
+
+/**
+ * Rate limiting middleware on top of a limiter backend (Redis or memory).
+ * `policies` are merged over DEFAULT_RATE_LIMITS, `overrides` adjust them
+ * for single clients. Must run after auth.authorize so req.auth is set,
+ * except for the `ip` policy, which runs before it and keys by IP.
+ *
+ * The limiter runs behind its own circuit breaker and fails open: when it
+ * errors, times out or the circuit is open, requests go through without
+ * RateLimit headers.
+ */
+export const createRateLimiter = ({
+    limiter,
+    policies = {},
+    overrides = {},
+    breaker = createCircuitBreaker(),
+    metrics = null,
+    enabled = true,
+}) => {
+    const policyFor = (name, client) => ({
+        ...DEFAULT_RATE_LIMITS[name],
+        ...policies[name],
+        ...overrides[client]?.[name],
+    });
+
+    /**
+     * Limits requests under the `name` policy, a policy name or a function
+     * of the request (e.g. rateLimitForRequest). Sets RateLimit-Limit,
+     * -Remaining, -Reset (seconds) and -Policy, and answers 429 with
+     * Retry-After once the client is over the limit.
+     */
+    const limit = (name) => async (req, res, next) => {
+        if (!enabled) return next();
+        const policyName = typeof name === "function" ? name(req) : name;
+        const client = clientId(req);
+        const policy = policyFor(policyName, client);
+
+        let result;
+        try {
+            result = await breaker.exec(() =>
+                limiter.consume(
+                    `ratelimit:${policyName}:${policy.algorithm}:${client}`,
+                    policy,
+                ),
+            );
+        } catch {
+            metrics?.rateLimitDecision(policyName, "failed_open");
+            return next();
+        }
+
+        res.set({
+            "RateLimit-Limit": `${policy.limit}`,
+            "RateLimit-Remaining": `${Math.max(0, result.remaining)}`,
+            "RateLimit-Reset": `${Math.ceil(result.resetMs / 1000)}`,
+            "RateLimit-Policy": `${policy.limit};w=${policy.windowSeconds}`,
+        });
+        if (result.allowed) {
+            metrics?.rateLimitDecision(policyName, "allowed");
+            return next();
+        }
+
+        metrics?.rateLimitDecision(policyName, "limited");
+        res.set(
+            "Retry-After",
+            `${Math.max(1, Math.ceil(result.retryAfterMs / 1000))}`,
+        );
+        res.status(429).json({ error: "Too Many Requests" });
+    };
+
+    return { limit, breaker };
+};
@@ -0,0 +1,11 @@
+export const requestMetrics = (metrics) => (req, res, next) => {
+    const end = metrics.startRequestTimer();
+    res.on("finish", () => {
+        // ! Route pattern (e.g. /products/:id) keeps label cardinality low
+        const route = req.route
+            ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, "$1")
+            : "unmatched";
+        end({ method: req.method, route, status_code: res.statusCode });
+    });
+    next();
+};
@@ -0,0 +1,58 @@
+import { randomUUID } from "node:crypto";
+import { runWithContext } from "../observability/context.js";
+import { logger as defaultLogger } from "../observability/logger.js";
+
+// ! Ids from callers are kept when they are short and plain
+const REQUEST_ID = /^[\w.-]{1,128}$/;
+
+/**
+ * Runs the rest of the request in a context with its request id and trace,
+ * so every log line and Postgres/Redis span is tied to it. The id comes
+ * from `X-Request-Id` or is generated, and is echoed in the response. A
+ * "Request completed" line with status, duration and Postgres/Redis
+ * timings is logged once the response is sent.
+ */
+export const requestTracing =
+    ({ tracer, logger = defaultLogger }) =>
+    (req, res, next) => {
+        const header = req.get("X-Request-Id");
+        const requestId =
+            header && REQUEST_ID.test(header) ? header : randomUUID();
+        res.set("X-Request-Id", requestId);
+
+        const trace = tracer.startTrace(req.method, {
+            traceparent: req.get("traceparent"),
+            attributes: {
+                "http.request.method": req.method,
+                "url.path": req.path,
+            },
+        });
+        const context = { requestId, trace };
+
+        res.on("finish", () => {
+            const route = req.route
+                ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, "$1")
+                : undefined;
+            const durationMs = trace.end({
+                name: route ? `${req.method} ${route}` : req.method,
+                attributes: {
+                    "http.route": route,
+                    "http.response.status_code": res.statusCode,
+                },
+                error: res.statusCode >= 500,
+            });
+            // ! "finish" may fire outside the request's async context
+            runWithContext(context, () =>
+                logger.info("Request completed", {
+                    method: req.method,
+                    path: req.originalUrl,
+                    route,
+                    status: res.statusCode,
+                    durationMs: Number(durationMs.toFixed(3)),
+                    ...trace.summary(),
+                }),
+            );
+        });
+
+        runWithContext(context, next);
+    };
@@ -0,0 +1,10 @@
+export const validateQuery = (schema) => (req, res, next) => {
+    const result = schema.safeParse(req.query);
+    if (!result.success) {
+        return res
+            .status(400)
+            .json({ error: result.error.issues.map((i) => i.message) });
+    }
+    req.validatedQuery = result.data;
+    next();
+};
@@ -0,0 +1,160 @@
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const MIGRATIONS_DIR = fileURLToPath(
+    new URL("../../migrations", import.meta.url),
+);
+
+// ! Session-level advisory lock held for a whole run, so replicas starting
+// ! together apply each migration once
+const LOCK_ID = "schema_migrations";
+
+// ! e.g. 0002_add_products_search_vector.up.sql
+const FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+/**
+ * Loads the migrations in `directory`, ordered by version. Each version
+ * needs an up file; the down file is only required to roll it back.
+ */
+export const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+    const migrations = new Map();
+    for (const file of await readdir(directory)) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) continue;
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) ?? { version, name };
+        if (migration.name !== name) {
+            throw new Error(`Migration ${version} has two names: ${file}`);
+        }
+        migration[direction] = await readFile(path.join(directory, file), {
+            encoding: "utf8",
+        });
+        migrations.set(version, migration);
+    }
+    for (const { version, name, up } of migrations.values()) {
+        if (up === undefined) {
+            throw new Error(`Migration ${version}_${name} has no up file`);
+        }
+    }
+    return [...migrations.values()].sort(
+        (a, b) => Number(a.version) - Number(b.version),
+    );
+};
+
+/**
+ * Applies and rolls back the SQL migrations in `directory`. Applied versions
+ * are recorded in schema_migrations, each migration runs in its own
+ * transaction together with its bookkeeping row.
+ */
+export const createMigrator = ({
+    pgPool,
+    directory = MIGRATIONS_DIR,
+    log = console.log,
+}) => {
+    // ! Runs fn on one client holding the advisory lock
+    const withLock = async (fn) => {
+        const client = await pgPool.connect();
+        try {
+            await client.query("SELECT pg_advisory_lock(hashtext($1))", [
+                LOCK_ID,
+            ]);
+            try {
+                await client.query(`
+                    CREATE TABLE IF NOT EXISTS schema_migrations (
+                        version TEXT PRIMARY KEY,
+                        name TEXT NOT NULL,
+                        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+                    );`);
+                return await fn(client);
+            } finally {
+                await client.query("SELECT pg_advisory_unlock(hashtext($1))", [
+                    LOCK_ID,
+                ]);
+            }
+        } finally {
+            client.release();
+        }
+    };
+
+    const appliedVersions = async (client) => {
+        const { rows } = await client.query(
+            "SELECT version FROM schema_migrations",
+        );
+        return new Set(rows.map((row) => row.version));
+    };
+
+    const inTransaction = async (client, fn) => {
+        await client.query("BEGIN");
+        try {
+            await fn();
+            await client.query("COMMIT");
+        } catch (err) {
+            await client.query("ROLLBACK");
+            throw err;
+        }
+    };
+
+    // ! Applies every pending migration in order, returns their names
+    const up = () =>
+        withLock(async (client) => {
+            const migrations = await loadMigrations(directory);
+            const applied = await appliedVersions(client);
+            const pending = migrations.filter(
+                ({ version }) => !applied.has(version),
+            );
+            for (const { version, name, up: sql } of pending) {
+                await inTransaction(client, async () => {
+                    await client.query(sql);
+                    await client.query(
+                        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+                        [version, name],
+                    );
+                });
+                log(`Migrated up: ${version}_${name}`);
+            }
+            if (pending.length === 0) log("Database schema is up to date");
+            return pending.map(({ version, name }) => `${version}_${name}`);
+        });
+
+    // ! Rolls back the last `steps` applied migrations, newest first
+    const down = (steps = 1) =>
+        withLock(async (client) => {
+            const migrations = await loadMigrations(directory);
+            const applied = await appliedVersions(client);
+            const toRevert = migrations
+                .filter(({ version }) => applied.has(version))
+                .reverse()
+                .slice(0, steps);
+            for (const { version, name, down: sql } of toRevert) {
+                if (sql === undefined) {
+                    throw new Error(
+                        `Migration ${version}_${name} has no down file`,
+                    );
+                }
+                await inTransaction(client, async () => {
+                    await client.query(sql);
+                    await client.query(
+                        "DELETE FROM schema_migrations WHERE version = $1",
+                        [version],
+                    );
+                });
+                log(`Migrated down: ${version}_${name}`);
+            }
+            return toRevert.map(({ version, name }) => `${version}_${name}`);
+        });
+
+    // ! Every known migration with whether it is applied
+    const status = () =>
+        withLock(async (client) => {
+            const migrations = await loadMigrations(directory);
+            const applied = await appliedVersions(client);
+            return migrations.map(({ version, name }) => ({
+                version,
+                name,
+                applied: applied.has(version),
+            }));
+        });
+
+    return { up, down, status };
+};
@@ -0,0 +1,27 @@
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const SEEDS_DIR = fileURLToPath(new URL("../../seeds", import.meta.url));
+
+/**
+ * Runs every .sql file in `directory` in name order. Seeds are never run
+ * on startup, only through `npm run seed`, so they should be safe to re-run.
+ */
+export const runSeeds = async ({
+    pgPool,
+    directory = SEEDS_DIR,
+    log = console.log,
+}) => {
+    const files = (await readdir(directory))
+        .filter((file) => file.endsWith(".sql"))
+        .sort();
+    for (const file of files) {
+        const sql = await readFile(path.join(directory, file), {
+            encoding: "utf8",
+        });
+        await pgPool.query(sql);
+        log(`Seeded: ${file}`);
+    }
+    return files;
+};
@@ -0,0 +1,10 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// ! Per-request state ({ requestId, trace }) that follows the request
+// ! through every await, so log lines and spans pick it up without
+// ! passing req around
+const storage = new AsyncLocalStorage();
+
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+export const currentContext = () => storage.getStore() ?? null;
@@ -0,0 +1,4 @@
+export { currentContext, runWithContext } from "./context.js";
+export { createLogger, logger } from "./logger.js";
+export { createTracer, startSpan } from "./tracer.js";
+export { createOtlpExporter } from "./otlpExporter.js";
@@ -0,0 +1,70 @@
+import { currentContext } from "./context.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// ! Errors don't survive JSON.stringify, keep what is useful of them
+const serialize = (fields) => {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        serialized[key] =
+            value instanceof Error
+                ? {
+                      name: value.name,
+                      message: value.message,
+                      stack: value.stack,
+                  }
+                : value;
+    }
+    return serialized;
+};
+
+/**
+ * JSON lines logger. Every line carries time, level and msg, the logger's
+ * own `fields`, the current requestId and traceId (see context.js) and
+ * the fields passed with the message, e.g.
+ * logger.error("Cache set failed", { key, err }).
+ */
+export const createLogger = ({
+    level = "info",
+    fields = {},
+    write = (line) => process.stdout.write(`${line}\n`),
+    // ! Shared with child loggers, so setLevel applies to them too
+    state = { threshold: LEVELS[level] ?? LEVELS.info },
+} = {}) => {
+    const log = (lineLevel, msg, extra = {}) => {
+        if (LEVELS[lineLevel] < state.threshold) return;
+        const context = currentContext();
+        write(
+            JSON.stringify({
+                time: new Date().toISOString(),
+                level: lineLevel,
+                msg,
+                ...fields,
+                ...(context && {
+                    requestId: context.requestId,
+                    traceId: context.trace?.traceId,
+                }),
+                ...serialize(extra),
+            }),
+        );
+    };
+
+    const setLevel = (name) => {
+        if (!(name in LEVELS)) throw new Error(`Unknown log level: ${name}`);
+        state.threshold = LEVELS[name];
+    };
+
+    return {
+        debug: (msg, extra) => log("debug", msg, extra),
+        info: (msg, extra) => log("info", msg, extra),
+        warn: (msg, extra) => log("warn", msg, extra),
+        error: (msg, extra) => log("error", msg, extra),
+        isEnabled: (name) => LEVELS[name] >= state.threshold,
+        setLevel,
+        child: (more) =>
+            createLogger({ fields: { ...fields, ...more }, write, state }),
+    };
+};
+
+// ! Process-wide logger, the level is set from LOG_LEVEL on startup
+export const logger = createLogger();
@@ -0,0 +1,96 @@
+import { logger } from "./logger.js";
+
+const SPAN_KIND = { server: 2, client: 3 };
+const STATUS_CODE = { ok: 1, error: 2 };
+
+const toNanos = (ms) => `${BigInt(Math.round(ms * 1e6))}`;
+
+const toAnyValue = (value) => {
+    if (typeof value === "boolean") return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: `${value}` };
+    if (typeof value === "number") return { doubleValue: value };
+    return { stringValue: `${value}` };
+};
+
+const toAttributes = (attributes) =>
+    Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+const toOtlpSpan = (span) => ({
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+    name: span.name,
+    kind: SPAN_KIND[span.kind],
+    startTimeUnixNano: toNanos(span.start),
+    endTimeUnixNano: toNanos(span.end),
+    attributes: toAttributes(span.attributes),
+    status: { code: span.error ? STATUS_CODE.error : STATUS_CODE.ok },
+});
+
+/**
+ * Sends finished spans to an OpenTelemetry collector with OTLP/HTTP JSON
+ * (POST <endpoint>/v1/traces). Spans are batched and sent every
+ * `flushIntervalMs`, or once `batchSize` are waiting. Export is best
+ * effort: a batch the collector doesn't take is logged and dropped.
+ */
+export const createOtlpExporter = ({
+    endpoint,
+    serviceName = "product-api",
+    batchSize = 512,
+    flushIntervalMs = 5000,
+    timeoutMs = 2000,
+}) => {
+    const url = `${endpoint.replace(/\/$/, "")}/v1/traces`;
+    const resource = {
+        attributes: toAttributes({ "service.name": serviceName }),
+    };
+    let buffer = [];
+
+    const flush = async () => {
+        if (buffer.length === 0) return;
+        const spans = buffer;
+        buffer = [];
+        try {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    resourceSpans: [
+                        {
+                            resource,
+                            scopeSpans: [
+                                {
+                                    scope: { name: serviceName },
+                                    spans: spans.map(toOtlpSpan),
+                                },
+                            ],
+                        },
+                    ],
+                }),
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            if (!response.ok) {
+                throw new Error(`Collector answered ${response.status}`);
+            }
+        } catch (err) {
+            logger.warn("Span export failed", { dropped: spans.length, err });
+        }
+    };
+
+    const timer = setInterval(flush, flushIntervalMs);
+    timer.unref();
+
+    const exportSpans = (spans) => {
+        buffer.push(...spans);
+        if (buffer.length >= batchSize) flush();
+    };
+
+    const shutdown = async () => {
+        clearInterval(timer);
+        await flush();
+    };
+
+    return { export: exportSpans, flush, shutdown };
+};
@@ -0,0 +1,111 @@
+import { randomBytes } from "node:crypto";
+import { currentContext } from "./context.js";
+import { logger } from "./logger.js";
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+const INVALID_TRACE_ID = "0".repeat(32);
+
+const newId = (bytes) => randomBytes(bytes).toString("hex");
+
+// ! Wall clock with sub-millisecond precision
+const nowMs = () => performance.timeOrigin + performance.now();
+
+// ! Postgres and Redis spans are summed up in the request log line
+const SUMMARIZED_SYSTEMS = { postgresql: "pg", redis: "redis" };
+
+/**
+ * Span recording for requests. `startTrace` opens the root span of a
+ * request, continuing the caller's trace when it sent a W3C `traceparent`
+ * header. Spans started with `startSpan` while the trace is the current
+ * context become its children. Finished traces go to the `exporter`
+ * (e.g. otlpExporter.js), if any.
+ */
+export const createTracer = ({ exporter = null } = {}) => {
+    const startTrace = (name, { traceparent, attributes = {} } = {}) => {
+        const [, parentTraceId, parentSpanId] =
+            TRACEPARENT.exec(traceparent ?? "") ?? [];
+        const traceId =
+            parentTraceId && parentTraceId !== INVALID_TRACE_ID
+                ? parentTraceId
+                : newId(16);
+        const root = {
+            traceId,
+            spanId: newId(8),
+            parentSpanId: parentTraceId ? parentSpanId : undefined,
+            name,
+            kind: "server",
+            start: nowMs(),
+            attributes,
+        };
+        const spans = [];
+
+        // ! Count and total milliseconds per summarized system
+        const summary = () => {
+            const totals = {};
+            for (const span of spans) {
+                const system = SUMMARIZED_SYSTEMS[span.attributes["db.system"]];
+                if (!system) continue;
+                totals[`${system}Count`] = (totals[`${system}Count`] ?? 0) + 1;
+                totals[`${system}Ms`] =
+                    (totals[`${system}Ms`] ?? 0) + (span.end - span.start);
+            }
+            for (const key of Object.keys(totals)) {
+                if (key.endsWith("Ms"))
+                    totals[key] = Number(totals[key].toFixed(3));
+            }
+            return totals;
+        };
+
+        const end = ({
+            name: finalName,
+            attributes: more = {},
+            error,
+        } = {}) => {
+            Object.assign(root, {
+                name: finalName ?? root.name,
+                end: nowMs(),
+                error: Boolean(error),
+                attributes: { ...root.attributes, ...more },
+            });
+            exporter?.export([root, ...spans]);
+            return root.end - root.start;
+        };
+
+        return { traceId, root, spans, summary, end };
+    };
+
+    return { startTrace };
+};
+
+/**
+ * Times an operation as a child span of the current request's trace.
+ * Returns the function ending it, `end({ error })`. A no-op outside a
+ * traced request (startup, background jobs).
+ */
+export const startSpan = (name, attributes = {}) => {
+    const trace = currentContext()?.trace;
+    if (!trace) return () => {};
+
+    const span = {
+        traceId: trace.traceId,
+        spanId: newId(8),
+        parentSpanId: trace.root.spanId,
+        name,
+        kind: "client",
+        start: nowMs(),
+        attributes,
+    };
+    return ({ error } = {}) => {
+        span.end = nowMs();
+        span.error = Boolean(error);
+        trace.spans.push(span);
+        if (logger.isEnabled("debug")) {
+            logger.debug("Span finished", {
+                span: name,
+                spanId: span.spanId,
+                durationMs: Number((span.end - span.start).toFixed(3)),
+                ...attributes,
+            });
+        }
+    };
+};
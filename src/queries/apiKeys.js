@@ -0,0 +1,45 @@
+// ! API keys are looked up by the SHA-256 of the key, never the key itself
+
+export const findApiKey = async (pgPool, keyHash) => {
+    const { rows } = await pgPool.query(
+        `
+      SELECT id, name, role FROM api_keys
+      WHERE key_hash = $1 AND revoked_at IS NULL;
+    `,
+        [keyHash],
+    );
+    return rows[0] ?? null;
+};
+
+export const insertApiKey = async (pgPool, { name, role, keyHash }) => {
+    const { rows } = await pgPool.query(
+        `
+      INSERT INTO api_keys (name, role, key_hash)
+      VALUES ($1, $2, $3)
+      RETURNING id, name, role, created_at;
+    `,
+        [name, role, keyHash],
+    );
+    return rows[0];
+};
+
+// ! Null when the key doesn't exist or was already revoked
+export const revokeApiKey = async (pgPool, id) => {
+    const { rows } = await pgPool.query(
+        `
+      UPDATE api_keys SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id, name, role, revoked_at;
+    `,
+        [id],
+    );
+    return rows[0] ?? null;
+};
+
+export const listApiKeys = async (pgPool) => {
+    const { rows } = await pgPool.query(`
+      SELECT id, name, role, created_at, revoked_at
+      FROM api_keys ORDER BY id;
+    `);
+    return rows;
+};
@@ -0,0 +1,4 @@
+// ! Columns returned to clients. Internal columns like search_vector are
+// ! left out, so product queries list these instead of using *.
+export const PRODUCT_COLUMNS =
+    "id, name, description, quantity, price, category, updated_at, created_at, version, deleted_at";
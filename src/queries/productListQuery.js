@@ -0,0 +1,148 @@
+import { createHash } from "node:crypto";
+import { PRODUCT_COLUMNS } from "./productColumns.js";
+
+// ! Must match the sort enum in productListQuerySchema, columns are
+// ! interpolated into the SQL below
+export const PRODUCT_SORT_FIELDS = [
+    "id",
+    "name",
+    "price",
+    "quantity",
+    "created_at",
+    "updated_at",
+];
+
+// ! The sort value is kept as Postgres prints it (row.sort_key): a JS Date
+// ! drops the microseconds of timestamps and shifts them by the local zone
+export const encodeCursor = (row, sort) =>
+    Buffer.from(
+        JSON.stringify({ s: sort, v: row.sort_key, id: row.id }),
+    ).toString("base64url");
+
+// ! Fits a Postgres INT, like ids and quantities
+const isInt = (value) =>
+    Number.isInteger(value) && Math.abs(value) <= 2 ** 31 - 1;
+
+// ! TIMESTAMP as Postgres prints it, e.g. "2024-01-31 09:15:00.123456".
+// ! Rebuilding the date rejects days and times that don't exist.
+const isTimestamp = (value) => {
+    const match =
+        /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/.exec(
+            value,
+        );
+    if (!match) return false;
+    const [year, month, day, hours, minutes, seconds] = match
+        .slice(1, 7)
+        .map(Number);
+    const date = new Date(
+        Date.UTC(year, month - 1, day, hours, minutes, seconds),
+    );
+    return (
+        date.getUTCFullYear() === year &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day &&
+        date.getUTCHours() === hours &&
+        date.getUTCMinutes() === minutes &&
+        date.getUTCSeconds() === seconds
+    );
+};
+
+// ! Checks a cursor's sort value before it is bound as a parameter of
+// ! the sort column's type, so a tampered cursor can't fail in Postgres
+const SORT_KEY_FORMATS = {
+    id: () => true,
+    name: () => true,
+    price: (value) => /^-?\d+(\.\d+)?$/.test(value),
+    quantity: (value) => /^-?\d+$/.test(value) && isInt(Number(value)),
+    created_at: isTimestamp,
+    updated_at: isTimestamp,
+};
+
+// ! The sort value is null when the row's sort column is
+export const decodeCursor = (cursor) => {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+        !decoded ||
+        !PRODUCT_SORT_FIELDS.includes(decoded.s) ||
+        !isInt(decoded.id) ||
+        !(
+            decoded.v === null ||
+            (typeof decoded.v === "string" &&
+                SORT_KEY_FORMATS[decoded.s](decoded.v))
+        )
+    ) {
+        throw new Error("Invalid cursor");
+    }
+    return decoded;
+};
+
+/**
+ * Stable hash of a validated list (or search) query, used as its cache key.
+ * Keys are sorted and unset filters dropped, so equivalent queries share an entry.
+ */
+export const hashProductListQuery = (query) => {
+    const normalized = Object.keys(query)
+        .filter((key) => query[key] !== undefined)
+        .sort()
+        .map((key) => [key, query[key]]);
+    return createHash("sha1")
+        .update(JSON.stringify(normalized))
+        .digest("hex")
+        .slice(0, 16);
+};
+
+/**
+ * Builds the keyset-paginated SELECT for GET /products.
+ * Fetches one extra row to know whether there is a next page.
+ */
+export const buildProductListQuery = (query) => {
+    const { limit, cursor, sort, order, category } = query;
+    // ! Soft-deleted products are never listed
+    const conditions = ["deleted_at IS NULL"];
+    const values = [];
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    if (category !== undefined)
+        conditions.push(`category = ${param(category)}`);
+    if (query.minPrice !== undefined)
+        conditions.push(`price >= ${param(query.minPrice)}`);
+    if (query.maxPrice !== undefined)
+        conditions.push(`price <= ${param(query.maxPrice)}`);
+    if (query.minQuantity !== undefined)
+        conditions.push(`quantity >= ${param(query.minQuantity)}`);
+    if (query.maxQuantity !== undefined)
+        conditions.push(`quantity <= ${param(query.maxQuantity)}`);
+
+    const comparator = order === "desc" ? "<" : ">";
+    if (cursor) {
+        const { v, id } = decodeCursor(cursor);
+        conditions.push(
+            sort === "id"
+                ? `id ${comparator} ${param(id)}`
+                : `(${sort}, id) ${comparator} (${param(v)}, ${param(id)})`,
+        );
+    }
+
+    const direction = order === "desc" ? "DESC" : "ASC";
+    const where = `WHERE ${conditions.join(" AND ")}`;
+    const orderBy =
+        sort === "id"
+            ? `ORDER BY id ${direction}`
+            : `ORDER BY ${sort} ${direction}, id ${direction}`;
+
+    return {
+        text: `SELECT ${PRODUCT_COLUMNS}, ${sort}::text AS sort_key FROM products ${where} ${orderBy} LIMIT ${param(limit + 1)}`,
+        values,
+    };
+};
+
+export const toProductPage = (rows, { limit, sort }) => {
+    const page = rows.slice(0, limit);
+    const nextCursor =
+        rows.length > limit ? encodeCursor(page[page.length - 1], sort) : null;
+    const data = page.map(({ sort_key, ...product }) => product);
+    return { data, nextCursor };
+};
@@ -0,0 +1,132 @@
+import { buildProductListQuery, toProductPage } from "./productListQuery.js";
+import { PRODUCT_COLUMNS } from "./productColumns.js";
+
+// ! Product read queries shared by the routes and the cache warmer.
+// ! Soft-deleted products (deleted_at set) are left out everywhere.
+
+// ! null when the product doesn't exist
+export const findProduct = async (pgPool, id) => {
+    const { rows } = await pgPool.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = $1 AND deleted_at IS NULL`,
+        [id],
+    );
+    return rows[0] ?? null;
+};
+
+// ! Existing products among the ids, in no particular order
+export const findProducts = async (pgPool, ids) => {
+    const { rows } = await pgPool.query(
+        `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = ANY($1::int[]) AND deleted_at IS NULL`,
+        [ids],
+    );
+    return rows;
+};
+
+// ! One page of GET /products for a validated list query
+export const findProductPage = async (pgPool, query) => {
+    const { text, values } = buildProductListQuery(query);
+    const { rows } = await pgPool.query(text, values);
+    return toProductPage(rows, query);
+};
+
+// ! Best matches first. websearch_to_tsquery accepts user input as is
+// ! ("quoted phrases", or, -excluded) and never raises on syntax.
+export const searchProducts = async (pgPool, { q, limit }) => {
+    const { rows } = await pgPool.query(
+        `
+      SELECT ${PRODUCT_COLUMNS}, ts_rank(search_vector, query) AS rank
+      FROM products, websearch_to_tsquery('english', $1) AS query
+      WHERE search_vector @@ query AND deleted_at IS NULL
+      ORDER BY rank DESC, id
+      LIMIT $2;
+    `,
+        [q, limit],
+    );
+    return rows;
+};
+
+// ! Newest change first. Includes deleted products, history is never
+// ! filtered by deleted_at.
+export const findProductHistory = async (pgPool, id, { limit }) => {
+    const { rows } = await pgPool.query(
+        `
+      SELECT id, op, before, after, changed_at
+      FROM product_history
+      WHERE product_id = $1
+      ORDER BY id DESC
+      LIMIT $2;
+    `,
+        [id, limit],
+    );
+    return rows;
+};
+
+// ! Deleted products included, e.g. to tell an unknown id from a product
+// ! without history
+export const productExists = async (pgPool, id) => {
+    const { rows } = await pgPool.query(
+        "SELECT 1 FROM products WHERE id = $1",
+        [id],
+    );
+    return rows.length > 0;
+};
+
+// ! Rows written outside the API may have no category, those are skipped
+export const findCategories = async (pgPool) => {
+    const { rows } = await pgPool.query(`
+      SELECT DISTINCT category FROM products
+      WHERE category IS NOT NULL AND category <> '' AND deleted_at IS NULL
+      ORDER BY category;
+    `);
+    return rows.map((row) => row.category);
+};
+
+const toRollup = (row) => ({
+    products: row.products,
+    quantity: row.quantity,
+    outOfStock: row.out_of_stock,
+    avgPrice: row.avg_price,
+    minPrice: row.min_price,
+    maxPrice: row.max_price,
+    inventoryValue: row.inventory_value,
+});
+
+// ! Per-category rollups and the overall totals in one GROUP BY, the
+// ! empty grouping set () being the totals row
+export const findProductStats = async (pgPool) => {
+    const { rows } = await pgPool.query(`
+      SELECT
+        category,
+        GROUPING(category) = 1 AS is_total,
+        COUNT(*)::int AS products,
+        COALESCE(SUM(quantity), 0)::int AS quantity,
+        (COUNT(*) FILTER (WHERE quantity = 0))::int AS out_of_stock,
+        ROUND(AVG(price), 2) AS avg_price,
+        MIN(price) AS min_price,
+        MAX(price) AS max_price,
+        COALESCE(SUM(price * quantity), 0) AS inventory_value
+      FROM products
+      WHERE deleted_at IS NULL
+      GROUP BY GROUPING SETS ((category), ())
+      ORDER BY is_total DESC, category;
+    `);
+    const [totals, ...categories] = rows;
+    return {
+        totals: toRollup(totals),
+        categories: categories.map((row) => ({
+            category: row.category,
+            ...toRollup(row),
+        })),
+    };
+};
+
+export const findCategorySummaries = async (pgPool) => {
+    const { rows } = await pgPool.query(`
+      SELECT category AS name, COUNT(*)::int AS products
+      FROM products
+      WHERE category IS NOT NULL AND deleted_at IS NULL
+      GROUP BY category
+      ORDER BY category;
+    `);
+    return rows;
+};
@@ -0,0 +1,100 @@
+import { PRODUCT_COLUMNS } from "./productColumns.js";
+
+// ! Product write statements shared by the single and bulk routes.
+// ! All take a client so callers can run them inside one transaction.
+
+export const insertProduct = async (client, product) => {
+    const { rows } = await client.query(
+        `
+      INSERT INTO products (name, description, quantity, price, category)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${PRODUCT_COLUMNS};
+    `,
+        [
+            product.name,
+            product.description,
+            product.quantity,
+            product.price,
+            product.category,
+        ],
+    );
+    return rows[0];
+};
+
+// ! Locks the row until the transaction ends, null when it doesn't exist.
+// ! Soft-deleted products count as missing unless `includeDeleted` is set.
+export const lockProduct = async (
+    client,
+    id,
+    { includeDeleted = false } = {},
+) => {
+    const { rows } = await client.query(
+        `
+      SELECT ${PRODUCT_COLUMNS} FROM products
+      WHERE id = $1 ${includeDeleted ? "" : "AND deleted_at IS NULL"}
+      FOR UPDATE;
+    `,
+        [id],
+    );
+    return rows[0] ?? null;
+};
+
+// ! Locks every listed product that isn't deleted, in id order. Writers
+// ! touching several rows take their locks through here, so two of them
+// ! never wait on each other's rows in opposite order (a deadlock).
+export const lockProducts = async (client, ids) => {
+    const { rows } = await client.query(
+        `
+      SELECT ${PRODUCT_COLUMNS} FROM products
+      WHERE id = ANY($1::int[]) AND deleted_at IS NULL
+      ORDER BY id
+      FOR UPDATE;
+    `,
+        [ids],
+    );
+    return rows;
+};
+
+// ! `updates` keys come from productUpdateSchema, so they are safe to inline
+export const updateProduct = async (client, id, updates) => {
+    const keys = Object.keys(updates);
+    const setClauses = keys.map((key, i) => `${key} = $${i + 1}`);
+    const { rows } = await client.query(
+        `
+      UPDATE products
+      SET ${setClauses.join(", ")}, updated_at = NOW(), version = version + 1
+      WHERE id = $${keys.length + 1}
+      RETURNING ${PRODUCT_COLUMNS};
+    `,
+        [...Object.values(updates), id],
+    );
+    return rows[0] ?? null;
+};
+
+// ! Soft delete: rows stay (and can be restored) but are hidden from reads.
+// ! Already deleted ids are skipped.
+export const deleteProducts = async (client, ids) => {
+    const { rows } = await client.query(
+        `
+      UPDATE products
+      SET deleted_at = NOW(), updated_at = NOW(), version = version + 1
+      WHERE id = ANY($1::int[]) AND deleted_at IS NULL
+      RETURNING ${PRODUCT_COLUMNS};
+    `,
+        [ids],
+    );
+    return rows;
+};
+
+export const restoreProduct = async (client, id) => {
+    const { rows } = await client.query(
+        `
+      UPDATE products
+      SET deleted_at = NULL, updated_at = NOW(), version = version + 1
+      WHERE id = $1
+      RETURNING ${PRODUCT_COLUMNS};
+    `,
+        [id],
+    );
+    return rows[0] ?? null;
+};
@@ -0,0 +1,115 @@
+import { PRODUCT_COLUMNS } from "./productColumns.js";
+
+// ! Stock reservation statements. All take a client so callers can run
+// ! them inside one transaction with the matching stock change.
+
+const RESERVATION_COLUMNS =
+    "id, product_id, quantity, status, expires_at, created_at, updated_at";
+
+// ! Atomic decrement: the WHERE clause makes two buyers of the last unit
+// ! race in Postgres, exactly one of them gets a row back. Null when the
+// ! product is missing, deleted or short on stock.
+export const takeStock = async (client, id, quantity) => {
+    const { rows } = await client.query(
+        `
+      UPDATE products
+      SET quantity = quantity - $2, updated_at = NOW(), version = version + 1
+      WHERE id = $1 AND deleted_at IS NULL AND quantity >= $2
+      RETURNING ${PRODUCT_COLUMNS};
+    `,
+        [id, quantity],
+    );
+    return rows[0] ?? null;
+};
+
+// ! Gives stock back, also to deleted products so a restore finds it
+export const returnStock = async (client, id, quantity) => {
+    const { rows } = await client.query(
+        `
+      UPDATE products
+      SET quantity = quantity + $2, updated_at = NOW(), version = version + 1
+      WHERE id = $1
+      RETURNING ${PRODUCT_COLUMNS};
+    `,
+        [id, quantity],
+    );
+    return rows[0] ?? null;
+};
+
+export const insertReservation = async (
+    client,
+    { productId, quantity, ttlSeconds },
+) => {
+    const { rows } = await client.query(
+        `
+      INSERT INTO product_reservations (product_id, quantity, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(secs => $3))
+      RETURNING ${RESERVATION_COLUMNS};
+    `,
+        [productId, quantity, ttlSeconds],
+    );
+    return rows[0];
+};
+
+// ! Locks the reservation until the transaction ends, null when it doesn't
+// ! exist for this product
+export const lockReservation = async (client, id, productId) => {
+    const { rows } = await client.query(
+        `
+      SELECT ${RESERVATION_COLUMNS}, expires_at <= NOW() AS expired
+      FROM product_reservations
+      WHERE id = $1 AND product_id = $2
+      FOR UPDATE;
+    `,
+        [id, productId],
+    );
+    return rows[0] ?? null;
+};
+
+export const setReservationStatus = async (client, id, status) => {
+    const { rows } = await client.query(
+        `
+      UPDATE product_reservations SET status = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${RESERVATION_COLUMNS};
+    `,
+        [id, status],
+    );
+    return rows[0];
+};
+
+// ! Expires up to `limit` held reservations past their expiry and returns
+// ! their stock in the same statement. SKIP LOCKED lets several instances
+// ! sweep at once without expiring a reservation twice, and skips ones a
+// ! request is committing or releasing right now. Resolves to the
+// ! restocked products.
+export const expireReservations = async (pgPool, { limit }) => {
+    const { rows } = await pgPool.query(
+        `
+      WITH expired AS (
+        UPDATE product_reservations
+        SET status = 'expired', updated_at = NOW()
+        WHERE id IN (
+          SELECT id FROM product_reservations
+          WHERE status = 'held' AND expires_at <= NOW()
+          ORDER BY expires_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING product_id, quantity
+      ),
+      restock AS (
+        SELECT product_id, SUM(quantity)::int AS returned
+        FROM expired GROUP BY product_id
+      )
+      UPDATE products
+      SET quantity = quantity + restock.returned,
+          updated_at = NOW(), version = version + 1
+      FROM restock
+      WHERE products.id = restock.product_id
+      RETURNING ${PRODUCT_COLUMNS};
+    `,
+        [limit],
+    );
+    return rows;
+};
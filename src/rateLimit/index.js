@@ -0,0 +1,8 @@
+export { createRedisRateLimiter } from "./redisLimiter.js";
+export { createMemoryRateLimiter } from "./memoryLimiter.js";
+export {
+    DEFAULT_RATE_LIMITS,
+    RATE_LIMIT_ALGORITHMS,
+    RATE_LIMIT_POLICIES,
+    rateLimitForRequest,
+} from "./policies.js";
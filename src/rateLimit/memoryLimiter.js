@@ -0,0 +1,54 @@
+/**
+ * In-process rate limiter with the same algorithms and results as the
+ * Redis limiter. Meant for tests and local development without Redis,
+ * limits only hold per process.
+ */
+export const createMemoryRateLimiter = ({ now = Date.now } = {}) => {
+    const windows = new Map();
+    const buckets = new Map();
+
+    const slidingWindow = (key, limit, window) => {
+        const time = now();
+        const hits = (windows.get(key) ?? []).filter(
+            (hit) => hit > time - window,
+        );
+        const allowed = hits.length < limit;
+        if (allowed) hits.push(time);
+        windows.set(key, hits);
+
+        const resetMs = hits.length > 0 ? hits[0] + window - time : window;
+        return {
+            allowed,
+            remaining: limit - hits.length,
+            resetMs,
+            retryAfterMs: allowed ? 0 : resetMs,
+        };
+    };
+
+    const tokenBucket = (key, capacity, window) => {
+        const time = now();
+        const rate = capacity / window;
+        const state = buckets.get(key) ?? { tokens: capacity, ts: time };
+        let tokens = Math.min(
+            capacity,
+            state.tokens + Math.max(0, time - state.ts) * rate,
+        );
+        const allowed = tokens >= 1;
+        if (allowed) tokens -= 1;
+        buckets.set(key, { tokens, ts: time });
+
+        return {
+            allowed,
+            remaining: Math.floor(tokens),
+            resetMs: Math.ceil((capacity - tokens) / rate),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+        };
+    };
+
+    const consume = async (key, { algorithm, limit, windowSeconds }) =>
+        algorithm === "token-bucket"
+            ? tokenBucket(key, limit, windowSeconds * 1000)
+            : slidingWindow(key, limit, windowSeconds * 1000);
+
+    return { consume };
+};
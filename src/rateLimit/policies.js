@@ -0,0 +1,28 @@
+export const RATE_LIMIT_ALGORITHMS = ["sliding-window", "token-bucket"];
+
+/**
+ * Requests allowed per client and window. Writes use a token bucket, so a
+ * client can burst up to `limit` writes and then continues at the refill
+ * rate. The other policies count requests over a sliding window. `ip` is
+ * checked before authentication, so it also covers invalid credentials.
+ */
+export const DEFAULT_RATE_LIMITS = {
+    read: { algorithm: "sliding-window", limit: 300, windowSeconds: 60 },
+    search: { algorithm: "sliding-window", limit: 60, windowSeconds: 60 },
+    write: { algorithm: "token-bucket", limit: 60, windowSeconds: 60 },
+    admin: { algorithm: "sliding-window", limit: 30, windowSeconds: 60 },
+    ip: { algorithm: "sliding-window", limit: 600, windowSeconds: 60 },
+};
+
+export const RATE_LIMIT_POLICIES = Object.keys(DEFAULT_RATE_LIMITS);
+
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// ! Policy for a product or category request. Search is limited apart
+// ! from other reads, its queries are the most expensive.
+export const rateLimitForRequest = (req) => {
+    if (!READ_METHODS.has(req.method)) return "write";
+    return `${req.baseUrl}${req.path}`.startsWith("/products/search")
+        ? "search"
+        : "read";
+};
@@ -0,0 +1,113 @@
+import { randomUUID } from "node:crypto";
+import { startSpan } from "../observability/tracer.js";
+
+// ! Both scripts read the clock with TIME so every instance shares one
+// ! clock, and return { allowed, remaining, resetMs, retryAfterMs }.
+
+// ! Sliding window log: a sorted set of request timestamps. ARGV: limit,
+// ! window ms, a unique member id. Reset is when the oldest request leaves
+// ! the window, which is also when a refused caller may retry.
+const SLIDING_WINDOW_SCRIPT = `
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+local count = redis.call("ZCARD", KEYS[1])
+local allowed = 0
+if count < limit then
+    redis.call("ZADD", KEYS[1], now, now .. ":" .. ARGV[3])
+    count = count + 1
+    allowed = 1
+end
+redis.call("PEXPIRE", KEYS[1], window)
+
+local resetMs = window
+local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+if oldest[2] then
+    resetMs = tonumber(oldest[2]) + window - now
+end
+local retryAfterMs = 0
+if allowed == 0 then
+    retryAfterMs = resetMs
+end
+return { allowed, limit - count, resetMs, retryAfterMs }
+`;
+
+// ! Token bucket: a hash of { tokens, ts }. Holds up to ARGV[1] tokens and
+// ! refills them all over ARGV[2] ms. Reset is when the bucket is full again.
+const TOKEN_BUCKET_SCRIPT = `
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local capacity = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local rate = capacity / window
+
+local state = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local tokens = tonumber(state[1]) or capacity
+local last = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - last) * rate)
+
+local allowed = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", now)
+redis.call("PEXPIRE", KEYS[1], window)
+
+local retryAfterMs = 0
+if allowed == 0 then
+    retryAfterMs = math.ceil((1 - tokens) / rate)
+end
+return { allowed, math.floor(tokens), math.ceil((capacity - tokens) / rate), retryAfterMs }
+`;
+
+const SCRIPTS = {
+    "sliding-window": SLIDING_WINDOW_SCRIPT,
+    "token-bucket": TOKEN_BUCKET_SCRIPT,
+};
+
+/**
+ * Rate limiter backed by a connected node-redis client. Every decision is
+ * a single atomic script call, so limits hold across all instances.
+ */
+export const createRedisRateLimiter = (
+    redisClient,
+    { metrics = null } = {},
+) => {
+    const consume = async (key, { algorithm, limit, windowSeconds }) => {
+        const end = metrics?.startRedisTimer("rateLimit");
+        const endSpan = startSpan("redis.rateLimit", {
+            "db.system": "redis",
+            "db.operation": "rateLimit",
+        });
+        let error;
+        try {
+            const [allowed, remaining, resetMs, retryAfterMs] =
+                await redisClient.eval(SCRIPTS[algorithm], {
+                    keys: [key],
+                    arguments: [
+                        `${limit}`,
+                        `${windowSeconds * 1000}`,
+                        randomUUID(),
+                    ],
+                });
+            return {
+                allowed: allowed === 1,
+                remaining,
+                resetMs,
+                retryAfterMs,
+            };
+        } catch (err) {
+            error = err;
+            throw err;
+        } finally {
+            end?.();
+            endSpan({ error });
+        }
+    };
+
+    return { consume };
+};
@@ -0,0 +1,311 @@
+import { Router } from "express";
+import { asyncWrapper } from "../middleware/asyncWrapper.js";
+import { validateBody } from "../middleware/validateBody.js";
+import { validateQuery } from "../middleware/validateQuery.js";
+import {
+    cacheEntryQuerySchema,
+    cacheKeysQuerySchema,
+    cachePurgeSchema,
+} from "../schemas/cacheAdminSchema.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cache Admin
+ *   description: Inspect and purge cache entries (requires the admin role)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CacheKey:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: "products:42"
+ *         type:
+ *           type: string
+ *           example: "string"
+ *         ttl:
+ *           type: integer
+ *           description: Seconds until the key expires, -1 without expiry
+ *         size:
+ *           type: integer
+ *           description: Bytes for strings, members for sets and sorted sets
+ *     CacheEntry:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CacheKey'
+ *         - type: object
+ *           properties:
+ *             value:
+ *               description: Stored value of a string key, e.g. a cache envelope { v, e, d, ver }
+ *             members:
+ *               type: array
+ *               description: Members of a set or sorted set key (e.g. a tag)
+ *               items:
+ *                 type: string
+ *     CachePurgeResult:
+ *       type: object
+ *       properties:
+ *         removed:
+ *           type: integer
+ *   responses:
+ *     Unauthorized:
+ *       description: Missing or invalid credentials
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: "Unauthorized"
+ *     Forbidden:
+ *       description: The caller's role is too low for this operation
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: "Forbidden"
+ *     CacheUnavailable:
+ *       description: The cache store is unavailable (circuit open or timed out)
+ */
+
+// ! Namespace flushed by POST /admin/cache/flush
+const PRODUCTS_NAMESPACE = "products";
+
+// ! Mounted behind auth.authorize("admin"), see app.js
+export const cacheAdminRouter = ({ cache, cacheWarmer }) => {
+    const router = Router();
+
+    /**
+     * @swagger
+     * /admin/cache/keys:
+     *   get:
+     *     summary: List cache keys matching a pattern (one SCAN step)
+     *     tags: [Cache Admin]
+     *     parameters:
+     *       - in: query
+     *         name: pattern
+     *         schema:
+     *           type: string
+     *           default: "*"
+     *           example: "products:list:*"
+     *       - in: query
+     *         name: cursor
+     *         schema:
+     *           type: string
+     *           default: "0"
+     *         description: Cursor returned by the previous call
+     *       - in: query
+     *         name: count
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 1000
+     *           default: 100
+     *         description: SCAN COUNT hint
+     *     responses:
+     *       200:
+     *         description: Matching keys. Continue with `cursor` until it is "0".
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 cursor:
+     *                   type: string
+     *                 keys:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/CacheKey'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       503:
+     *         $ref: '#/components/responses/CacheUnavailable'
+     */
+    router.get(
+        "/keys",
+        validateQuery(cacheKeysQuerySchema),
+        asyncWrapper(async (req, res) => {
+            const { pattern, cursor, count } = req.validatedQuery;
+            res.json(await cache.scan(pattern, { cursor, count }));
+        }),
+    );
+
+    /**
+     * @swagger
+     * /admin/cache/entry:
+     *   get:
+     *     summary: Get a single cache key with its stored value
+     *     tags: [Cache Admin]
+     *     parameters:
+     *       - in: query
+     *         name: key
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: "products:42"
+     *     responses:
+     *       200:
+     *         description: The key
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/CacheEntry'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       404:
+     *         description: Key not found
+     *       503:
+     *         $ref: '#/components/responses/CacheUnavailable'
+     */
+    router.get(
+        "/entry",
+        validateQuery(cacheEntryQuerySchema),
+        asyncWrapper(async (req, res) => {
+            const entry = await cache.inspect(req.validatedQuery.key);
+            if (!entry) {
+                return res.status(404).json({ error: "Key not found" });
+            }
+            res.json(entry);
+        }),
+    );
+
+    /**
+     * @swagger
+     * /admin/cache/purge:
+     *   post:
+     *     summary: Purge entries by key, pattern or tag
+     *     tags: [Cache Admin]
+     *     requestBody:
+     *       required: true
+     *       description: Exactly one of key, pattern or tag
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               key:
+     *                 type: string
+     *                 example: "products:42"
+     *               pattern:
+     *                 type: string
+     *                 example: "products:list:*"
+     *               tag:
+     *                 type: string
+     *                 example: "category:Electronics"
+     *     responses:
+     *       200:
+     *         description: Number of removed keys
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/CachePurgeResult'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       503:
+     *         $ref: '#/components/responses/CacheUnavailable'
+     */
+    router.post(
+        "/purge",
+        validateBody(cachePurgeSchema),
+        asyncWrapper(async (req, res) => {
+            const { key, pattern, tag } = req.validatedBody;
+            let removed;
+            if (key !== undefined) removed = await cache.del(key);
+            else if (pattern !== undefined)
+                removed = await cache.purge(pattern);
+            else removed = await cache.invalidateTags([tag]);
+            res.json({ removed });
+        }),
+    );
+
+    /**
+     * @swagger
+     * /admin/cache/flush:
+     *   post:
+     *     summary: Remove every entry in the products namespace
+     *     tags: [Cache Admin]
+     *     responses:
+     *       200:
+     *         description: Number of removed keys
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/CachePurgeResult'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       503:
+     *         $ref: '#/components/responses/CacheUnavailable'
+     */
+    router.post(
+        "/flush",
+        asyncWrapper(async (req, res) => {
+            const removed = await cache
+                .namespace(PRODUCTS_NAMESPACE)
+                .purge("*");
+            res.json({ removed });
+        }),
+    );
+
+    /**
+     * @swagger
+     * /admin/cache/warm:
+     *   post:
+     *     summary: Re-run the product cache warm-up
+     *     description: Loads the warm-up entries that are missing or stale and waits for it to finish.
+     *     tags: [Cache Admin]
+     *     responses:
+     *       200:
+     *         description: Warm-up summary
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 entries:
+     *                   type: integer
+     *                 loaded:
+     *                   type: integer
+     *                 failed:
+     *                   type: integer
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/Forbidden'
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.post(
+        "/warm",
+        asyncWrapper(async (req, res) => {
+            const result = await cacheWarmer.warm("admin");
+            if (!result) {
+                return res.status(500).json({ error: "Cache warm-up failed" });
+            }
+            res.json(result);
+        }),
+    );
+
+    return router;
+};
@@ -0,0 +1,85 @@
+import { Router } from "express";
+import { asyncWrapper } from "../middleware/asyncWrapper.js";
+import {
+    DEFAULT_CACHE_CONTROL,
+    cacheControl,
+    sendWithValidators,
+} from "../middleware/httpCaching.js";
+import { findCategorySummaries } from "../queries/productReads.js";
+import { CATEGORIES_KEY, PRODUCT_CACHE_TTL } from "../cache/productEntries.js";
+import { PRODUCT_STATS_TAG } from "../cache/productTags.js";
+import { logger } from "../observability/logger.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Product categories
+ */
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: List categories with their product counts
+ *     tags: [Categories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *     responses:
+ *       200:
+ *         description: Categories, alphabetically
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: Electronics
+ *                       products:
+ *                         type: integer
+ *                         example: 2
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
+export const categoryRouter = ({
+    pgPool,
+    cache,
+    cacheControl: cacheControlValue = DEFAULT_CACHE_CONTROL,
+}) => {
+    const router = Router();
+    // ! Shares the products namespace (and its tags) with the product routes
+    const productCache = cache.namespace("products");
+
+    router.get(
+        "/",
+        cacheControl(cacheControlValue),
+        asyncWrapper(async (req, res) => {
+            try {
+                const data = await productCache.wrap(
+                    CATEGORIES_KEY,
+                    PRODUCT_CACHE_TTL,
+                    () => findCategorySummaries(pgPool),
+                    { tags: [PRODUCT_STATS_TAG] },
+                );
+                sendWithValidators(res, { data });
+            } catch (err) {
+                logger.error("Error fetching categories", { err });
+                res.status(500).json({ error: "Internal Server Error" });
+            }
+        }),
+    );
+
+    return router;
+};
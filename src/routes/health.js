@@ -1,5 +1,6 @@
 import { Router } from "express";
 import { asyncWrapper } from "../middleware/asyncWrapper.js";
+import { createCircuitBreaker } from "../cache/index.js";
 
 /**
  * @swagger
@@ -14,9 +15,10 @@ import { asyncWrapper } from "../middleware/asyncWrapper.js";
  *   get:
  *     summary: Check overall health of all services
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
- *         description: All services are up and running
+ *         description: Database is up. Status is DEGRADED when Redis is unavailable and reads are served from the database.
  *         content:
  *           application/json:
  *             schema:
@@ -24,12 +26,18 @@ import { asyncWrapper } from "../middleware/asyncWrapper.js";
  *               properties:
  *                 status:
  *                   type: string
+ *                   enum: [OK, DEGRADED]
  *                   example: OK
  *                 service:
  *                   type: string
  *                   example: All
+ *                 cache:
+ *                   type: string
+ *                   enum: [closed, open, half-open]
+ *                   description: Cache circuit breaker state
+ *                   example: closed
  *       500:
- *         description: One or more services are down
+ *         description: Database is down
  */
 
 /**
@@ -38,6 +46,7 @@ import { asyncWrapper } from "../middleware/asyncWrapper.js";
  *   get:
  *     summary: Check PostgreSQL database connectivity
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: Database connection successful
@@ -62,9 +71,10 @@ import { asyncWrapper } from "../middleware/asyncWrapper.js";
  *   get:
  *     summary: Check Redis cache connectivity
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
- *         description: Redis connection successful
+ *         description: Redis connection successful, or the cache runs without Redis (CACHE_STORE=memory)
  *         content:
  *           application/json:
  *             schema:
@@ -76,20 +86,50 @@ import { asyncWrapper } from "../middleware/asyncWrapper.js";
  *                 service:
  *                   type: string
  *                   example: REDIS
- *       500:
- *         description: Redis connection failed
+ *                 cache:
+ *                   type: string
+ *                   example: closed
+ *       503:
+ *         description: Redis is unavailable, the cache is running degraded
  */
 
-export const healthRouter = ({ redisClient, pgPool }) => {
+/**
+ * Health routes. `redisClient` is null when the cache doesn't use Redis
+ * (CACHE_STORE=memory), the in-process store is then always reported OK.
+ */
+export const healthRouter = ({
+    redisClient,
+    pgPool,
+    cache,
+    // ! Pings get a breaker of their own, failed health checks mustn't
+    // ! open the cache's circuit
+    pingBreaker = createCircuitBreaker(),
+}) => {
     const router = Router();
 
+    // ! Through the breaker so a hung Redis times out and an open circuit
+    // ! is reported without waiting at all
+    const isRedisUp = async () => {
+        if (!redisClient) return true;
+        try {
+            await pingBreaker.exec(() => redisClient.ping());
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
     // Overall health check
     router.get(
         "/",
         asyncWrapper(async (req, res) => {
             await pgPool.query("SELECT 1");
-            await redisClient.ping();
-            res.json({ status: "OK", service: "All" });
+            const redisUp = await isRedisUp();
+            res.json({
+                status: redisUp ? "OK" : "DEGRADED",
+                service: "All",
+                cache: cache.breaker.state,
+            });
         }),
     );
 
@@ -106,8 +146,12 @@ export const healthRouter = ({ redisClient, pgPool }) => {
     router.get(
         "/redis",
         asyncWrapper(async (req, res) => {
-            await redisClient.ping();
-            res.json({ status: "OK", service: "REDIS" });
+            const redisUp = await isRedisUp();
+            res.status(redisUp ? 200 : 503).json({
+                status: redisUp ? "OK" : "DEGRADED",
+                service: "REDIS",
+                cache: cache.breaker.state,
+            });
         }),
     );
 
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import { asyncWrapper } from "../middleware/asyncWrapper.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Metrics
+ *   description: Prometheus metrics
+ */
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Cache, Redis, Postgres and request metrics in Prometheus text format
+ *     tags: [Metrics]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Metrics in Prometheus exposition format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+
+export const metricsRouter = ({ metrics }) => {
+    const router = Router();
+
+    router.get(
+        "/",
+        asyncWrapper(async (req, res) => {
+            res.set("Content-Type", metrics.register.contentType);
+            res.send(await metrics.register.metrics());
+        }),
+    );
+
+    return router;
+};
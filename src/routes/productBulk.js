@@ -0,0 +1,305 @@
+import { Router } from "express";
+import { asyncWrapper } from "../middleware/asyncWrapper.js";
+import { validateBody } from "../middleware/validateBody.js";
+import {
+    bulkDeleteSchema,
+    bulkItemsSchema,
+    productBulkUpdateItemSchema,
+    productSchema,
+} from "../schemas/productSchema.js";
+import {
+    deleteProducts,
+    insertProduct,
+    lockProducts,
+    updateProduct,
+} from "../queries/productWrites.js";
+import {
+    changesSearchMatches,
+    productWriteTags,
+} from "../cache/productTags.js";
+import { withTransaction } from "../config/db.js";
+import { tombstoneProducts } from "../cache/productWriteThrough.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkResult:
+ *       type: object
+ *       properties:
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position of the item in the request
+ *               status:
+ *                 type: integer
+ *                 example: 200
+ *               product:
+ *                 $ref: '#/components/schemas/Product'
+ *               error:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ */
+
+// ! Per-item validation; returns the parsed items and error results
+const validateItems = (items, schema) => {
+    const valid = [];
+    const results = [];
+    items.forEach((item, index) => {
+        const parsed = schema.safeParse(item);
+        if (parsed.success) {
+            valid.push({ index, data: parsed.data });
+        } else {
+            results.push({
+                index,
+                status: 400,
+                error: parsed.error.issues.map((i) => i.message),
+            });
+        }
+    });
+    return { valid, results };
+};
+
+const byIndex = (a, b) => a.index - b.index;
+
+export const productBulkRouter = ({ pgPool, cache }) => {
+    const router = Router();
+    const productCache = cache.namespace("products");
+
+    // ! Every affected tag goes to the store in a single call
+    const invalidateProducts = async (changes) => {
+        if (changes.length === 0) return;
+        await productCache.invalidateTags(
+            changes.flatMap(({ product, previousCategory, addsMatches }) =>
+                productWriteTags(product, previousCategory, addsMatches),
+            ),
+        );
+    };
+
+    /**
+     * @swagger
+     * /products/bulk:
+     *   post:
+     *     summary: Create many products in one transaction
+     *     tags: [Products]
+     *     parameters:
+     *       - $ref: '#/components/parameters/IdempotencyKey'
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               items:
+     *                 type: array
+     *                 maxItems: 1000
+     *                 items:
+     *                   $ref: '#/components/schemas/ProductInput'
+     *     responses:
+     *       200:
+     *         description: Per-item results (201 created, 400 invalid)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BulkResult'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       409:
+     *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+     *       422:
+     *         $ref: '#/components/responses/IdempotencyKeyMismatch'
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.post(
+        "/",
+        validateBody(bulkItemsSchema),
+        asyncWrapper(async (req, res) => {
+            const { valid, results } = validateItems(
+                req.validatedBody.items,
+                productSchema,
+            );
+
+            const created = await withTransaction(pgPool, async (client) => {
+                const rows = [];
+                for (const { index, data } of valid) {
+                    rows.push({
+                        index,
+                        product: await insertProduct(client, data),
+                        addsMatches: true,
+                    });
+                }
+                return rows;
+            });
+
+            await invalidateProducts(created);
+            for (const { index, product } of created) {
+                results.push({ index, status: 201, product });
+            }
+            res.json({ results: results.sort(byIndex) });
+        }),
+    );
+
+    /**
+     * @swagger
+     * /products/bulk:
+     *   patch:
+     *     summary: Update many products in one transaction
+     *     tags: [Products]
+     *     parameters:
+     *       - $ref: '#/components/parameters/IdempotencyKey'
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               items:
+     *                 type: array
+     *                 maxItems: 1000
+     *                 items:
+     *                   allOf:
+     *                     - type: object
+     *                       required: [id]
+     *                       properties:
+     *                         id:
+     *                           type: integer
+     *                     - $ref: '#/components/schemas/ProductInput'
+     *     responses:
+     *       200:
+     *         description: Per-item results (200 updated, 400 invalid, 404 not found)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BulkResult'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       409:
+     *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+     *       422:
+     *         $ref: '#/components/responses/IdempotencyKeyMismatch'
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.patch(
+        "/",
+        validateBody(bulkItemsSchema),
+        asyncWrapper(async (req, res) => {
+            const { valid, results } = validateItems(
+                req.validatedBody.items,
+                productBulkUpdateItemSchema,
+            );
+
+            const outcomes = await withTransaction(pgPool, async (client) => {
+                // ! All rows are locked up front, items are applied in request order
+                const locked = await lockProducts(
+                    client,
+                    valid.map(({ data }) => data.id),
+                );
+                const current = new Map(
+                    locked.map((product) => [product.id, product]),
+                );
+                const rows = [];
+                for (const {
+                    index,
+                    data: { id, ...updates },
+                } of valid) {
+                    if (!current.has(id)) {
+                        rows.push({ index, notFound: true });
+                        continue;
+                    }
+                    const product = await updateProduct(client, id, updates);
+                    rows.push({
+                        index,
+                        product,
+                        previousCategory: current.get(id).category,
+                        addsMatches: changesSearchMatches(updates),
+                    });
+                    current.set(id, product);
+                }
+                return rows;
+            });
+
+            const updated = outcomes.filter((outcome) => !outcome.notFound);
+            await invalidateProducts(updated);
+            for (const { index, notFound, product } of outcomes) {
+                results.push(
+                    notFound
+                        ? { index, status: 404, error: "Product not found" }
+                        : { index, status: 200, product },
+                );
+            }
+            res.json({ results: results.sort(byIndex) });
+        }),
+    );
+
+    /**
+     * @swagger
+     * /products/bulk:
+     *   delete:
+     *     summary: Delete many products in one transaction
+     *     tags: [Products]
+     *     parameters:
+     *       - $ref: '#/components/parameters/IdempotencyKey'
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               ids:
+     *                 type: array
+     *                 maxItems: 1000
+     *                 items:
+     *                   type: integer
+     *     responses:
+     *       200:
+     *         description: Per-id results (200 deleted, 404 not found)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BulkResult'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       409:
+     *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+     *       422:
+     *         $ref: '#/components/responses/IdempotencyKeyMismatch'
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.delete(
+        "/",
+        validateBody(bulkDeleteSchema),
+        asyncWrapper(async (req, res) => {
+            const { ids } = req.validatedBody;
+            const deleted = await withTransaction(pgPool, async (client) => {
+                await lockProducts(client, ids);
+                return deleteProducts(client, ids);
+            });
+
+            await tombstoneProducts(productCache, deleted);
+            const deletedById = new Map(
+                deleted.map((product) => [product.id, product]),
+            );
+            const results = ids.map((id, index) =>
+                deletedById.has(id)
+                    ? { index, status: 200, product: deletedById.get(id) }
+                    : { index, status: 404, error: "Product not found" },
+            );
+            res.json({ results });
+        }),
+    );
+
+    return router;
+};
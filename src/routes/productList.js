@@ -1,10 +1,58 @@
 import { Router } from "express";
 import { asyncWrapper } from "../middleware/asyncWrapper.js";
 import { validateBody } from "../middleware/validateBody.js";
+import { validateQuery } from "../middleware/validateQuery.js";
 import {
+    productBatchQuerySchema,
+    productHistoryQuerySchema,
+    productListQuerySchema,
     productSchema,
+    productSearchQuerySchema,
     productUpdateSchema,
 } from "../schemas/productSchema.js";
+import {
+    findProduct,
+    findProductHistory,
+    findProductPage,
+    findProductStats,
+    findProducts,
+    productExists,
+    searchProducts,
+} from "../queries/productReads.js";
+import {
+    PRODUCT_CACHE_TTL,
+    PRODUCT_HITS_KEY,
+    PRODUCT_STATS_KEY,
+    productListKey,
+    productSearchKey,
+} from "../cache/productEntries.js";
+import {
+    PRODUCT_STATS_TAG,
+    changesSearchMatches,
+    productListTags,
+    productSearchTags,
+    productTag,
+} from "../cache/productTags.js";
+import {
+    tombstoneProducts,
+    writeThroughProduct,
+} from "../cache/productWriteThrough.js";
+import {
+    deleteProducts,
+    insertProduct,
+    lockProduct,
+    restoreProduct,
+    updateProduct,
+} from "../queries/productWrites.js";
+import { withTransaction } from "../config/db.js";
+import {
+    DEFAULT_CACHE_CONTROL,
+    cacheControl,
+    computeEtag,
+    ifMatchFails,
+    sendWithValidators,
+} from "../middleware/httpCaching.js";
+import { logger } from "../observability/logger.js";
 
 /**
  * @swagger
@@ -59,8 +107,165 @@ import {
  *               type: string
  *               format: date-time
  *               example: "2025-11-05T08:30:00Z"
+ *             version:
+ *               type: integer
+ *               description: Incremented on every update
+ *               example: 1
+ *             deleted_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: Set when the product was soft deleted
+ *               example: null
+ *
+ *     ProductPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Product'
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as `cursor` to fetch the next page, null on the last page
+ *
+ *     ProductSearchResult:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Product'
+ *               - type: object
+ *                 properties:
+ *                   rank:
+ *                     type: number
+ *                     description: Relevance, higher is better
+ *
+ *     ProductHistoryEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         op:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *         before:
+ *           nullable: true
+ *           description: The product before the change, null for create
+ *           allOf:
+ *             - $ref: '#/components/schemas/Product'
+ *         after:
+ *           nullable: true
+ *           description: The product after the change, null for purge
+ *           allOf:
+ *             - $ref: '#/components/schemas/Product'
+ *         changed_at:
+ *           type: string
+ *           format: date-time
+ *
+ *     ProductRollup:
+ *       type: object
+ *       properties:
+ *         products:
+ *           type: integer
+ *           example: 2
+ *         quantity:
+ *           type: integer
+ *           description: Total stock
+ *           example: 60
+ *         outOfStock:
+ *           type: integer
+ *           description: Products with a quantity of 0
+ *           example: 0
+ *         avgPrice:
+ *           type: string
+ *           example: "849.99"
+ *         minPrice:
+ *           type: string
+ *           example: "699.99"
+ *         maxPrice:
+ *           type: string
+ *           example: "999.99"
+ *         inventoryValue:
+ *           type: string
+ *           description: Sum of price * quantity
+ *           example: "47999.40"
+ *
+ *     ProductStats:
+ *       type: object
+ *       properties:
+ *         totals:
+ *           $ref: '#/components/schemas/ProductRollup'
+ *         categories:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Electronics
+ *               - $ref: '#/components/schemas/ProductRollup'
+ *
+ *     ProductBatch:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           description: Found products in request order
+ *           items:
+ *             $ref: '#/components/schemas/Product'
+ *         notFound:
+ *           type: array
+ *           items:
+ *             type: integer
+ *
+ *   parameters:
+ *     IfNoneMatch:
+ *       in: header
+ *       name: If-None-Match
+ *       schema:
+ *         type: string
+ *       description: ETag from a previous response, answered with 304 when unchanged
+ *     IfModifiedSince:
+ *       in: header
+ *       name: If-Modified-Since
+ *       schema:
+ *         type: string
+ *       description: Last-Modified from a previous response, answered with 304 when unchanged
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       schema:
+ *         type: string
+ *       description: Only apply the change if the product's current ETag matches
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ *       description: Client-chosen unique key. A retry with the same key and body replays the first response (marked `Idempotent-Replayed` true) instead of running again.
+ *
+ *   headers:
+ *     ETag:
+ *       description: Strong validator derived from the response body
+ *       schema:
+ *         type: string
+ *     LastModified:
+ *       description: Latest updated_at of the returned product(s)
+ *       schema:
+ *         type: string
  *
  *   responses:
+ *     IdempotencyKeyInProgress:
+ *       description: A request with the same Idempotency-Key is still running
+ *     IdempotencyKeyMismatch:
+ *       description: The Idempotency-Key was already used with a different body
  *     NotFound:
  *       description: Product not found
  *       content:
@@ -81,6 +286,18 @@ import {
  *               error:
  *                 type: string
  *                 example: "Invalid product data"
+ *     NotModified:
+ *       description: Client copy is current (If-None-Match / If-Modified-Since matched)
+ *     PreconditionFailed:
+ *       description: If-Match did not match the product's current ETag
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: "Precondition Failed"
  *     ServerError:
  *       description: Internal server error
  *       content:
@@ -93,66 +310,270 @@ import {
  *                 example: "Database error"
  */
 
-export const productListRouter = ({ pgPool, redisClient }) => {
+export const productListRouter = ({
+    pgPool,
+    cache,
+    cacheControl: cacheControlOptions = {},
+}) => {
     const router = Router();
+    const productCache = cache.namespace("products");
+    // ! Cache-Control per route, overridable through the router options
+    const cacheControlFor = {
+        list: cacheControlOptions.list ?? DEFAULT_CACHE_CONTROL,
+        detail: cacheControlOptions.detail ?? DEFAULT_CACHE_CONTROL,
+    };
 
-    const cacheSet = async (key, value, expirationInSeconds = 3600) => {
-        await redisClient.setEx(
-            key,
-            expirationInSeconds,
-            JSON.stringify(value),
+    const writeThrough = (product, previousCategory, addsMatches) =>
+        writeThroughProduct(
+            productCache,
+            product,
+            previousCategory,
+            addsMatches,
         );
-    };
 
-    const cacheGet = async (key) => {
-        const data = await redisClient.get(key);
-        return data ? JSON.parse(data) : null;
-    };
+    // ! GET /products?ids=1,2,3 (documented with the list route below).
+    // ! Cached products come from one MGET, only the missing ids hit
+    // ! Postgres and are backfilled in one pipeline.
+    router.get(
+        "/",
+        (req, res, next) =>
+            next(req.query.ids === undefined ? "route" : undefined),
+        cacheControl(cacheControlFor.list),
+        validateQuery(productBatchQuerySchema),
+        asyncWrapper(async (req, res) => {
+            const { ids } = req.validatedQuery;
+            const uniqueIds = [...new Set(ids)];
 
-    const invalidateProductCache = async (id) => {
-        await Promise.all([
-            redisClient.del(`products:${id}`),
-            redisClient.del("products:all"),
-        ]);
-    };
+            const cached = await productCache.getMany(uniqueIds);
+            const found = new Map();
+            const missing = [];
+            uniqueIds.forEach((id, i) => {
+                if (cached[i]) found.set(id, cached[i]);
+                else missing.push(id);
+            });
+
+            if (missing.length > 0) {
+                const rows = await findProducts(pgPool, missing);
+                for (const product of rows) found.set(product.id, product);
+                await productCache.setMany(
+                    rows.map((product) => ({
+                        key: product.id,
+                        value: product,
+                        ttl: PRODUCT_CACHE_TTL,
+                        tags: [productTag(product.id)],
+                        version: product.version,
+                    })),
+                );
+            }
+
+            const data = ids
+                .filter((id) => found.has(id))
+                .map((id) => found.get(id));
+            // ! No Last-Modified on collections: the newest updated_at among
+            // ! the rows doesn't change when a product leaves them
+            sendWithValidators(res, {
+                data,
+                notFound: ids.filter((id) => !found.has(id)),
+            });
+        }),
+    );
 
     /**
      * @swagger
      * /products:
      *   get:
-     *     summary: Get all products
+     *     summary: List products with filtering, sorting and cursor pagination, or fetch products by id
      *     tags: [Products]
+     *     parameters:
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 20
+     *       - in: query
+     *         name: cursor
+     *         schema:
+     *           type: string
+     *         description: nextCursor from the previous page, requested with the same sort
+     *       - in: query
+     *         name: category
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: minPrice
+     *         schema:
+     *           type: number
+     *       - in: query
+     *         name: maxPrice
+     *         schema:
+     *           type: number
+     *       - in: query
+     *         name: minQuantity
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: maxQuantity
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: sort
+     *         schema:
+     *           type: string
+     *           enum: [id, name, price, quantity, created_at, updated_at]
+     *           default: id
+     *       - in: query
+     *         name: order
+     *         schema:
+     *           type: string
+     *           enum: [asc, desc]
+     *           default: asc
+     *       - in: query
+     *         name: ids
+     *         schema:
+     *           type: string
+     *           example: "1,2,3"
+     *         description: Comma separated ids (max 100). Returns those products in request order instead of a page; other list parameters are ignored.
+     *       - $ref: '#/components/parameters/IfNoneMatch'
      *     responses:
      *       200:
-     *         description: List of all products
+     *         description: A page of products, or the requested products when `ids` is given
+     *         headers:
+     *           ETag:
+     *             $ref: '#/components/headers/ETag'
      *         content:
      *           application/json:
      *             schema:
-     *               type: array
-     *               items:
-     *                 $ref: '#/components/schemas/Product'
+     *               oneOf:
+     *                 - $ref: '#/components/schemas/ProductPage'
+     *                 - $ref: '#/components/schemas/ProductBatch'
+     *       304:
+     *         $ref: '#/components/responses/NotModified'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
      *       500:
      *         $ref: '#/components/responses/ServerError'
      */
     router.get(
         "/",
+        cacheControl(cacheControlFor.list),
+        validateQuery(productListQuerySchema),
         asyncWrapper(async (req, res) => {
-            const cacheKey = "products:all";
+            const query = req.validatedQuery;
             try {
-                const cached = await cacheGet(cacheKey);
-                if (cached) {
-                    console.log("Cache Hit: All Products");
-                    return res.json(cached);
-                }
+                const page = await productCache.wrap(
+                    productListKey(query),
+                    PRODUCT_CACHE_TTL,
+                    () => findProductPage(pgPool, query),
+                    { tags: productListTags(query) },
+                );
+                sendWithValidators(res, page);
+            } catch (err) {
+                logger.error("Error fetching products", { err });
+                res.status(500).json({ error: "Internal Server Error" });
+            }
+        }),
+    );
+
+    /**
+     * @swagger
+     * /products/search:
+     *   get:
+     *     summary: Full-text search over product name, description and category
+     *     description: Results are ranked by relevance (name matches weigh most). `q` accepts web search syntax, e.g. `"office chair"`, `lamp or mouse`, `laptop -refurbished`.
+     *     tags: [Products]
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         required: true
+     *         schema:
+     *           type: string
+     *           maxLength: 200
+     *           example: wireless mouse
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 50
+     *           default: 20
+     *       - $ref: '#/components/parameters/IfNoneMatch'
+     *     responses:
+     *       200:
+     *         description: Matching products, best match first
+     *         headers:
+     *           ETag:
+     *             $ref: '#/components/headers/ETag'
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ProductSearchResult'
+     *       304:
+     *         $ref: '#/components/responses/NotModified'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.get(
+        "/search",
+        cacheControl(cacheControlFor.list),
+        validateQuery(productSearchQuerySchema),
+        asyncWrapper(async (req, res) => {
+            const query = req.validatedQuery;
+            try {
+                const data = await productCache.wrap(
+                    productSearchKey(query),
+                    PRODUCT_CACHE_TTL,
+                    () => searchProducts(pgPool, query),
+                    { tags: productSearchTags },
+                );
+                sendWithValidators(res, { data });
+            } catch (err) {
+                logger.error("Error searching products", { err });
+                res.status(500).json({ error: "Internal Server Error" });
+            }
+        }),
+    );
 
-                const result = await pgPool.query(
-                    "SELECT * FROM products ORDER BY id ASC",
+    /**
+     * @swagger
+     * /products/stats:
+     *   get:
+     *     summary: Inventory and price rollups, overall and per category
+     *     tags: [Products]
+     *     parameters:
+     *       - $ref: '#/components/parameters/IfNoneMatch'
+     *     responses:
+     *       200:
+     *         description: Product stats
+     *         headers:
+     *           ETag:
+     *             $ref: '#/components/headers/ETag'
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ProductStats'
+     *       304:
+     *         $ref: '#/components/responses/NotModified'
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.get(
+        "/stats",
+        cacheControl(cacheControlFor.list),
+        asyncWrapper(async (req, res) => {
+            try {
+                const stats = await productCache.wrap(
+                    PRODUCT_STATS_KEY,
+                    PRODUCT_CACHE_TTL,
+                    () => findProductStats(pgPool),
+                    { tags: [PRODUCT_STATS_TAG] },
                 );
-                const products = result.rows;
-                await cacheSet(cacheKey, products);
-                res.json(products);
+                sendWithValidators(res, stats);
             } catch (err) {
-                console.error("Error fetching products: ", err);
+                logger.error("Error fetching product stats", { err });
                 res.status(500).json({ error: "Internal Server Error" });
             }
         }),
@@ -171,13 +592,22 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      *         schema:
      *           type: integer
      *         description: The product ID
+     *       - $ref: '#/components/parameters/IfNoneMatch'
+     *       - $ref: '#/components/parameters/IfModifiedSince'
      *     responses:
      *       200:
      *         description: Product found
+     *         headers:
+     *           ETag:
+     *             $ref: '#/components/headers/ETag'
+     *           Last-Modified:
+     *             $ref: '#/components/headers/LastModified'
      *         content:
      *           application/json:
      *             schema:
      *               $ref: '#/components/schemas/Product'
+     *       304:
+     *         $ref: '#/components/responses/NotModified'
      *       400:
      *         $ref: '#/components/responses/ValidationError'
      *       404:
@@ -187,33 +617,32 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      */
     router.get(
         "/:id",
+        cacheControl(cacheControlFor.detail),
         asyncWrapper(async (req, res) => {
             const id = parseInt(req.params.id, 10);
             if (Number.isNaN(id)) {
                 return res.status(400).json({ error: "Invalid product id" });
             }
 
-            const cacheKey = `products:${id}`;
             try {
-                const cached = await cacheGet(cacheKey);
-                if (cached) {
-                    console.log(`Cache Hit: ${id}`);
-                    return res.json(cached);
-                }
-
-                const result = await pgPool.query(
-                    "SELECT * FROM products WHERE id = $1",
-                    [id],
+                const product = await productCache.wrap(
+                    id,
+                    PRODUCT_CACHE_TTL,
+                    () => findProduct(pgPool, id),
+                    {
+                        tags: [productTag(id)],
+                        version: (product) => product.version,
+                    },
                 );
-                if (result.rows.length === 0) {
+                if (!product) {
                     return res.status(404).json({ error: "Product not found" });
                 }
-
-                const product = result.rows[0];
-                await cacheSet(cacheKey, product);
-                res.json(product);
+                productCache.trackAccess(PRODUCT_HITS_KEY, id);
+                sendWithValidators(res, product, {
+                    lastModified: product.updated_at,
+                });
             } catch (err) {
-                console.error("Error fetching product:", err);
+                logger.error("Error fetching product", { err });
                 res.status(500).json({ error: "Internal Server Error" });
             }
         }),
@@ -225,6 +654,8 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      *   post:
      *     summary: Create a new product
      *     tags: [Products]
+     *     parameters:
+     *       - $ref: '#/components/parameters/IdempotencyKey'
      *     requestBody:
      *       required: true
      *       content:
@@ -245,6 +676,10 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      *                   $ref: '#/components/schemas/Product'
      *       400:
      *         $ref: '#/components/responses/ValidationError'
+     *       409:
+     *         $ref: '#/components/responses/IdempotencyKeyInProgress'
+     *       422:
+     *         $ref: '#/components/responses/IdempotencyKeyMismatch'
      *       500:
      *         $ref: '#/components/responses/ServerError'
      */
@@ -252,24 +687,12 @@ export const productListRouter = ({ pgPool, redisClient }) => {
         "/",
         validateBody(productSchema),
         asyncWrapper(async (req, res) => {
-            const productData = req.validatedBody;
-            const queryText = `
-      INSERT INTO products (name, description, quantity, price, category)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *;
-    `;
-            const queryValues = [
-                productData.name,
-                productData.description,
-                productData.quantity,
-                productData.price,
-                productData.category,
-            ];
-            const result = await pgPool.query(queryText, queryValues);
-            const createdProduct = result.rows[0];
+            const createdProduct = await insertProduct(
+                pgPool,
+                req.validatedBody,
+            );
 
-            await cacheSet(`products:${createdProduct.id}`, createdProduct);
-            await invalidateProductCache(createdProduct.id);
+            await writeThrough(createdProduct, undefined, true);
 
             res.status(201).json({
                 message: "Product created",
@@ -290,6 +713,7 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      *         required: true
      *         schema:
      *           type: integer
+     *       - $ref: '#/components/parameters/IfMatch'
      *     requestBody:
      *       required: true
      *       content:
@@ -312,6 +736,8 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      *         $ref: '#/components/responses/ValidationError'
      *       404:
      *         $ref: '#/components/responses/NotFound'
+     *       412:
+     *         $ref: '#/components/responses/PreconditionFailed'
      *       500:
      *         $ref: '#/components/responses/ServerError'
      */
@@ -319,10 +745,10 @@ export const productListRouter = ({ pgPool, redisClient }) => {
         "/:id",
         validateBody(productUpdateSchema),
         asyncWrapper(async (req, res) => {
-            const { id } = req.params;
+            const id = parseInt(req.params.id, 10);
             const updates = req.validatedBody;
 
-            if (!id)
+            if (Number.isNaN(id) || id <= 0)
                 return res.status(400).json({ error: "Invalid product id" });
             const keys = Object.keys(updates);
             if (keys.length === 0)
@@ -330,30 +756,46 @@ export const productListRouter = ({ pgPool, redisClient }) => {
                     .status(400)
                     .json({ error: "No fields provided to update" });
 
-            const setClauses = keys.map((key, i) => `${key} = $${i + 1}`);
-            const values = Object.values(updates);
-            const queryText = `
-      UPDATE products
-      SET ${setClauses.join(", ")}
-      WHERE id = $${keys.length + 1}
-      RETURNING *;
-    `;
-
             try {
-                const { rows } = await pgPool.query(queryText, [...values, id]);
-                if (rows.length === 0) {
+                // ! Locks the row first to check If-Match against it and to
+                // ! learn the category it is moved out of
+                const updated = await withTransaction(
+                    pgPool,
+                    async (client) => {
+                        const current = await lockProduct(client, id);
+                        if (!current) return null;
+                        if (ifMatchFails(req, computeEtag(current))) {
+                            return { preconditionFailed: true };
+                        }
+                        return {
+                            product: await updateProduct(client, id, updates),
+                            previousCategory: current.category,
+                        };
+                    },
+                );
+                if (!updated) {
                     return res.status(404).json({ error: "Product not found" });
                 }
+                if (updated.preconditionFailed) {
+                    return res
+                        .status(412)
+                        .json({ error: "Precondition Failed" });
+                }
+                const { product, previousCategory } = updated;
 
-                await invalidateProductCache(id);
-                await cacheSet(`products:${id}`, rows[0]);
+                await writeThrough(
+                    product,
+                    previousCategory,
+                    changesSearchMatches(updates),
+                );
 
+                res.set("ETag", computeEtag(product));
                 res.status(200).json({
                     message: "Product updated successfully",
-                    product: rows[0],
+                    product,
                 });
             } catch (err) {
-                console.error("Error updating product:", err);
+                logger.error("Error updating product", { err });
                 res.status(500).json({ error: "Database error" });
             }
         }),
@@ -364,6 +806,7 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      * /products/{id}:
      *   delete:
      *     summary: Delete a product
+     *     description: Soft delete. The product disappears from every read but can be brought back with POST /products/{id}/restore.
      *     tags: [Products]
      *     parameters:
      *       - in: path
@@ -371,6 +814,7 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      *         required: true
      *         schema:
      *           type: integer
+     *       - $ref: '#/components/parameters/IfMatch'
      *     responses:
      *       200:
      *         description: Product deleted successfully
@@ -385,6 +829,8 @@ export const productListRouter = ({ pgPool, redisClient }) => {
      *                   $ref: '#/components/schemas/Product'
      *       404:
      *         $ref: '#/components/responses/NotFound'
+     *       412:
+     *         $ref: '#/components/responses/PreconditionFailed'
      *       500:
      *         $ref: '#/components/responses/ServerError'
      */
@@ -396,24 +842,182 @@ export const productListRouter = ({ pgPool, redisClient }) => {
                 return res.status(400).json({ error: "Invalid product id" });
             }
 
-            const queryText = "DELETE FROM products WHERE id = $1 RETURNING *";
             try {
-                const { rows } = await pgPool.query(queryText, [id]);
-                if (rows.length === 0) {
+                const deleted = await withTransaction(
+                    pgPool,
+                    async (client) => {
+                        const current = await lockProduct(client, id);
+                        if (!current) return null;
+                        if (ifMatchFails(req, computeEtag(current))) {
+                            return { preconditionFailed: true };
+                        }
+                        const [product] = await deleteProducts(client, [id]);
+                        return { product };
+                    },
+                );
+                if (!deleted) {
                     return res.status(404).json({ error: "Product not found" });
                 }
+                if (deleted.preconditionFailed) {
+                    return res
+                        .status(412)
+                        .json({ error: "Precondition Failed" });
+                }
 
-                await invalidateProductCache(id);
+                await tombstoneProducts(productCache, [deleted.product]);
                 res.status(200).json({
                     message: "Product deleted successfully",
-                    deleted: rows[0],
+                    deleted: deleted.product,
                 });
             } catch (err) {
-                console.error("Error deleting product:", err);
+                logger.error("Error deleting product", { err });
                 res.status(500).json({ error: "Database error" });
             }
         }),
     );
 
+    /**
+     * @swagger
+     * /products/{id}/restore:
+     *   post:
+     *     summary: Restore a deleted product
+     *     tags: [Products]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Product restored
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 message:
+     *                   type: string
+     *                 product:
+     *                   $ref: '#/components/schemas/Product'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       409:
+     *         description: The product is not deleted
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.post(
+        "/:id/restore",
+        asyncWrapper(async (req, res) => {
+            const id = parseInt(req.params.id, 10);
+            if (Number.isNaN(id) || id <= 0) {
+                return res.status(400).json({ error: "Invalid product id" });
+            }
+
+            try {
+                const restored = await withTransaction(
+                    pgPool,
+                    async (client) => {
+                        const current = await lockProduct(client, id, {
+                            includeDeleted: true,
+                        });
+                        if (!current) return null;
+                        if (current.deleted_at === null) {
+                            return { notDeleted: true };
+                        }
+                        return { product: await restoreProduct(client, id) };
+                    },
+                );
+                if (!restored) {
+                    return res.status(404).json({ error: "Product not found" });
+                }
+                if (restored.notDeleted) {
+                    return res
+                        .status(409)
+                        .json({ error: "Product is not deleted" });
+                }
+
+                // ! Back in listings, searches and stats
+                await writeThrough(restored.product, undefined, true);
+                res.status(200).json({
+                    message: "Product restored",
+                    product: restored.product,
+                });
+            } catch (err) {
+                logger.error("Error restoring product", { err });
+                res.status(500).json({ error: "Database error" });
+            }
+        }),
+    );
+
+    /**
+     * @swagger
+     * /products/{id}/history:
+     *   get:
+     *     summary: Change history of a product, newest first
+     *     description: Every create, update, delete, restore and purge (a hard delete made outside the API), including changes made directly in Postgres. Available for deleted products too. Empty for products last changed before history was recorded.
+     *     tags: [Products]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 100
+     *           default: 50
+     *     responses:
+     *       200:
+     *         description: History entries
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 data:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/ProductHistoryEntry'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.get(
+        "/:id/history",
+        validateQuery(productHistoryQuerySchema),
+        asyncWrapper(async (req, res) => {
+            const id = parseInt(req.params.id, 10);
+            if (Number.isNaN(id) || id <= 0) {
+                return res.status(400).json({ error: "Invalid product id" });
+            }
+
+            // ! Not cached: audit reads are rare and must never be stale
+            try {
+                const data = await findProductHistory(
+                    pgPool,
+                    id,
+                    req.validatedQuery,
+                );
+                // ! Products created before the history table have none,
+                // ! purged ones have history but no row
+                if (data.length === 0 && !(await productExists(pgPool, id))) {
+                    return res.status(404).json({ error: "Product not found" });
+                }
+                res.json({ data });
+            } catch (err) {
+                logger.error("Error fetching product history", { err });
+                res.status(500).json({ error: "Internal Server Error" });
+            }
+        }),
+    );
+
     return router;
 };
@@ -0,0 +1,326 @@
+import { Router } from "express";
+import { asyncWrapper } from "../middleware/asyncWrapper.js";
+import { validateBody } from "../middleware/validateBody.js";
+import {
+    reservationActionSchema,
+    reserveSchema,
+} from "../schemas/reservationSchema.js";
+import {
+    insertReservation,
+    lockReservation,
+    returnStock,
+    setReservationStatus,
+    takeStock,
+} from "../queries/reservations.js";
+import { findProduct } from "../queries/productReads.js";
+import { writeThroughProduct } from "../cache/productWriteThrough.js";
+import { withTransaction } from "../config/db.js";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Reservation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         product_id:
+ *           type: integer
+ *         quantity:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [held, committed, released, expired]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     ReservationAction:
+ *       type: object
+ *       required: [reservationId]
+ *       properties:
+ *         reservationId:
+ *           type: string
+ *           format: uuid
+ */
+
+const parseId = (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (Number.isNaN(id) || id <= 0) {
+        res.status(400).json({ error: "Invalid product id" });
+        return null;
+    }
+    return id;
+};
+
+/**
+ * Stock reservations. Reserving takes the stock off `quantity` at once,
+ * so listings and stats show what is still available. A held reservation
+ * is committed (the sale went through) or released (stock goes back);
+ * reservations left held past `expires_at` are released by the sweeper
+ * (jobs/reservationSweeper.js).
+ */
+export const productReservationRouter = ({ pgPool, cache }) => {
+    const router = Router();
+    const productCache = cache.namespace("products");
+
+    // ! A held reservation, locked for the rest of the transaction, or an
+    // ! error response for one that can't be released or committed
+    const lockHeld = async (client, id, reservationId) => {
+        const reservation = await lockReservation(client, reservationId, id);
+        if (!reservation) {
+            return { status: 404, error: "Reservation not found" };
+        }
+        if (reservation.status !== "held") {
+            return {
+                status: 409,
+                error: `Reservation is already ${reservation.status}`,
+            };
+        }
+        return { reservation };
+    };
+
+    /**
+     * @swagger
+     * /products/{id}/reserve:
+     *   post:
+     *     summary: Reserve stock of a product
+     *     description: Takes `quantity` off the product's stock in one atomic update, so concurrent buyers of the last units can't both succeed. The reservation expires after `ttlSeconds` unless committed or released.
+     *     tags: [Products]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - $ref: '#/components/parameters/IdempotencyKey'
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [quantity]
+     *             properties:
+     *               quantity:
+     *                 type: integer
+     *                 minimum: 1
+     *               ttlSeconds:
+     *                 type: integer
+     *                 minimum: 1
+     *                 maximum: 3600
+     *                 default: 900
+     *     responses:
+     *       201:
+     *         description: Stock reserved
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 reservation:
+     *                   $ref: '#/components/schemas/Reservation'
+     *                 product:
+     *                   $ref: '#/components/schemas/Product'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         $ref: '#/components/responses/NotFound'
+     *       409:
+     *         description: Not enough stock
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.post(
+        "/:id/reserve",
+        validateBody(reserveSchema),
+        asyncWrapper(async (req, res) => {
+            const id = parseId(req, res);
+            if (id === null) return;
+            const { quantity, ttlSeconds } = req.validatedBody;
+
+            const reserved = await withTransaction(pgPool, async (client) => {
+                const product = await takeStock(client, id, quantity);
+                if (!product) return null;
+                const reservation = await insertReservation(client, {
+                    productId: id,
+                    quantity,
+                    ttlSeconds,
+                });
+                return { product, reservation };
+            });
+            if (!reserved) {
+                // ! No row means missing, deleted or short on stock
+                const product = await findProduct(pgPool, id);
+                return product
+                    ? res.status(409).json({
+                          error: "Insufficient stock",
+                          available: product.quantity,
+                      })
+                    : res.status(404).json({ error: "Product not found" });
+            }
+
+            await writeThroughProduct(productCache, reserved.product);
+            res.status(201).json(reserved);
+        }),
+    );
+
+    /**
+     * @swagger
+     * /products/{id}/release:
+     *   post:
+     *     summary: Release a reservation and return its stock
+     *     tags: [Products]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ReservationAction'
+     *     responses:
+     *       200:
+     *         description: Reservation released
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 reservation:
+     *                   $ref: '#/components/schemas/Reservation'
+     *                 product:
+     *                   $ref: '#/components/schemas/Product'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         description: Reservation not found for this product
+     *       409:
+     *         description: Reservation is no longer held
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.post(
+        "/:id/release",
+        validateBody(reservationActionSchema),
+        asyncWrapper(async (req, res) => {
+            const id = parseId(req, res);
+            if (id === null) return;
+
+            const released = await withTransaction(pgPool, async (client) => {
+                const held = await lockHeld(
+                    client,
+                    id,
+                    req.validatedBody.reservationId,
+                );
+                if (!held.reservation) return held;
+                return {
+                    reservation: await setReservationStatus(
+                        client,
+                        held.reservation.id,
+                        "released",
+                    ),
+                    product: await returnStock(
+                        client,
+                        id,
+                        held.reservation.quantity,
+                    ),
+                };
+            });
+            if (released.error) {
+                return res
+                    .status(released.status)
+                    .json({ error: released.error });
+            }
+
+            await writeThroughProduct(productCache, released.product);
+            res.json(released);
+        }),
+    );
+
+    /**
+     * @swagger
+     * /products/{id}/commit:
+     *   post:
+     *     summary: Commit a reservation, making the stock decrement final
+     *     tags: [Products]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ReservationAction'
+     *     responses:
+     *       200:
+     *         description: Reservation committed
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 reservation:
+     *                   $ref: '#/components/schemas/Reservation'
+     *       400:
+     *         $ref: '#/components/responses/ValidationError'
+     *       404:
+     *         description: Reservation not found for this product
+     *       409:
+     *         description: Reservation is no longer held or has expired
+     *       500:
+     *         $ref: '#/components/responses/ServerError'
+     */
+    router.post(
+        "/:id/commit",
+        validateBody(reservationActionSchema),
+        asyncWrapper(async (req, res) => {
+            const id = parseId(req, res);
+            if (id === null) return;
+
+            // ! Stock was taken when reserving, the product doesn't change
+            const committed = await withTransaction(pgPool, async (client) => {
+                const held = await lockHeld(
+                    client,
+                    id,
+                    req.validatedBody.reservationId,
+                );
+                if (!held.reservation) return held;
+                // ! Not swept yet, but its stock is about to go back
+                if (held.reservation.expired) {
+                    return { status: 409, error: "Reservation has expired" };
+                }
+                return {
+                    reservation: await setReservationStatus(
+                        client,
+                        held.reservation.id,
+                        "committed",
+                    ),
+                };
+            });
+            if (committed.error) {
+                return res
+                    .status(committed.status)
+                    .json({ error: committed.error });
+            }
+            res.json(committed);
+        }),
+    );
+
+    return router;
+};
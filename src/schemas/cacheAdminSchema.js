@@ -0,0 +1,29 @@
+import { z } from "zod";
+
+export const cacheKeysQuerySchema = z.object({
+    pattern: z.string().min(1).default("*"),
+    cursor: z
+        .string()
+        .regex(/^\d+$/, { message: "cursor must be a SCAN cursor" })
+        .default("0"),
+    count: z.coerce.number().int().min(1).max(1000).default(100),
+});
+
+export const cacheEntryQuerySchema = z.object({
+    key: z.string().min(1, { message: "key is required" }),
+});
+
+// ! Exactly one of key, pattern or tag
+export const cachePurgeSchema = z
+    .object({
+        key: z.string().min(1).optional(),
+        pattern: z.string().min(1).optional(),
+        tag: z.string().min(1).optional(),
+    })
+    .refine(
+        (body) =>
+            [body.key, body.pattern, body.tag].filter(
+                (value) => value !== undefined,
+            ).length === 1,
+        { message: "Provide exactly one of key, pattern or tag" },
+    );
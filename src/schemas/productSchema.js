@@ -1,4 +1,17 @@
 import { z } from "zod";
+import {
+    PRODUCT_SORT_FIELDS,
+    decodeCursor,
+} from "../queries/productListQuery.js";
+
+// ! null for a cursor that doesn't decode
+const readCursor = (cursor) => {
+    try {
+        return decodeCursor(cursor);
+    } catch {
+        return null;
+    }
+};
 
 export const productSchema = z.object({
     name: z
@@ -24,3 +37,139 @@ export const productSchema = z.object({
 });
 
 export const productUpdateSchema = productSchema.partial();
+
+export const productListQuerySchema = z
+    .object({
+        limit: z.coerce
+            .number()
+            .int("limit must be an integer")
+            .min(1, "limit must be >= 1")
+            .max(100, "limit must be <= 100")
+            .default(20),
+        cursor: z
+            .string()
+            .refine(
+                (cursor) => readCursor(cursor) !== null,
+                "cursor is invalid",
+            )
+            .optional(),
+        category: z.string().nonempty("category must not be empty").optional(),
+        minPrice: z.coerce.number().min(0, "minPrice must be >= 0").optional(),
+        maxPrice: z.coerce.number().min(0, "maxPrice must be >= 0").optional(),
+        minQuantity: z.coerce
+            .number()
+            .int()
+            .min(0, "minQuantity must be >= 0")
+            .optional(),
+        maxQuantity: z.coerce
+            .number()
+            .int()
+            .min(0, "maxQuantity must be >= 0")
+            .optional(),
+        sort: z
+            .enum(PRODUCT_SORT_FIELDS, {
+                message: `sort must be one of: ${PRODUCT_SORT_FIELDS.join(", ")}`,
+            })
+            .default("id"),
+        order: z
+            .enum(["asc", "desc"], { message: "order must be asc or desc" })
+            .default("asc"),
+    })
+    .refine(
+        (q) =>
+            q.minPrice === undefined ||
+            q.maxPrice === undefined ||
+            q.minPrice <= q.maxPrice,
+        { message: "minPrice must be <= maxPrice" },
+    )
+    .refine(
+        (q) =>
+            q.minQuantity === undefined ||
+            q.maxQuantity === undefined ||
+            q.minQuantity <= q.maxQuantity,
+        { message: "minQuantity must be <= maxQuantity" },
+    )
+    // ! A cursor only continues the sort it was issued for
+    .refine(
+        (q) => !q.cursor || (readCursor(q.cursor)?.s ?? q.sort) === q.sort,
+        { message: "cursor does not match sort", path: ["cursor"] },
+    );
+
+export const BULK_MAX_ITEMS = 1000;
+
+// ! Items are validated one by one in the bulk routes, so a bad item is
+// ! reported in its result instead of failing the whole request
+export const bulkItemsSchema = z.object({
+    items: z
+        .array(z.unknown(), { message: "items must be an array" })
+        .min(1, "items must not be empty")
+        .max(
+            BULK_MAX_ITEMS,
+            `items must have at most ${BULK_MAX_ITEMS} entries`,
+        ),
+});
+
+export const productBulkUpdateItemSchema = productUpdateSchema
+    .extend({
+        id: z.coerce.number().int().gt(0, "id must be a positive integer"),
+    })
+    .refine((item) => Object.keys(item).length > 1, {
+        message: "No fields provided to update",
+    });
+
+export const bulkDeleteSchema = z.object({
+    ids: z
+        .array(z.coerce.number().int().gt(0, "ids must be positive integers"), {
+            message: "ids must be an array",
+        })
+        .min(1, "ids must not be empty")
+        .max(BULK_MAX_ITEMS, `ids must have at most ${BULK_MAX_ITEMS} entries`),
+});
+
+export const BATCH_GET_MAX_IDS = 100;
+
+// ! ?ids=1,2,3 on GET /products
+export const productBatchQuerySchema = z.object({
+    ids: z
+        .string({ message: "ids must be a comma separated list" })
+        .transform((ids) => ids.split(",").map((id) => id.trim()))
+        .pipe(
+            z
+                .array(
+                    z.coerce
+                        .number()
+                        .int("ids must be integers")
+                        .gt(0, "ids must be positive integers"),
+                )
+                .min(1, "ids must not be empty")
+                .max(
+                    BATCH_GET_MAX_IDS,
+                    `ids must have at most ${BATCH_GET_MAX_IDS} entries`,
+                ),
+        ),
+});
+
+export const SEARCH_MAX_RESULTS = 50;
+
+// ! q is normalized (trimmed, lowercased, single spaces) so equivalent
+// ! searches share a cache entry
+export const productSearchQuerySchema = z.object({
+    q: z
+        .string()
+        .trim()
+        .min(1, { message: "q is required" })
+        .max(200, { message: "q must be at most 200 characters" })
+        .transform((q) => q.toLowerCase().replace(/\s+/g, " ")),
+    limit: z.coerce
+        .number()
+        .int()
+        .min(1)
+        .max(SEARCH_MAX_RESULTS, {
+            message: `limit must be at most ${SEARCH_MAX_RESULTS}`,
+        })
+        .default(20),
+});
+
+export const productHistoryQuerySchema = z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+});
@@ -0,0 +1,22 @@
+import { z } from "zod";
+import {
+    RATE_LIMIT_ALGORITHMS,
+    RATE_LIMIT_POLICIES,
+} from "../rateLimit/policies.js";
+
+const policySchema = z
+    .object({
+        algorithm: z.enum(RATE_LIMIT_ALGORITHMS),
+        limit: z.number().int().positive(),
+        windowSeconds: z.number().int().positive(),
+    })
+    .partial();
+
+// ! e.g. { "read": { "limit": 600 } }, merged over DEFAULT_RATE_LIMITS
+export const rateLimitsSchema = z.partialRecord(
+    z.enum(RATE_LIMIT_POLICIES),
+    policySchema,
+);
+
+// ! Per client ("apikey:3", "jwt:<sub>", "ip:10.0.0.7"), merged over the policies
+export const rateLimitOverridesSchema = z.record(z.string(), rateLimitsSchema);
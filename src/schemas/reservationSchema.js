@@ -0,0 +1,24 @@
+import { z } from "zod";
+
+// ! Reservations hold stock for at most an hour, 15 minutes by default
+export const RESERVATION_MAX_TTL = 3600;
+
+export const reserveSchema = z.object({
+    quantity: z.coerce
+        .number()
+        .int("quantity must be an integer")
+        .gt(0, "quantity must be > 0"),
+    ttlSeconds: z.coerce
+        .number()
+        .int("ttlSeconds must be an integer")
+        .min(1, "ttlSeconds must be >= 1")
+        .max(
+            RESERVATION_MAX_TTL,
+            `ttlSeconds must be <= ${RESERVATION_MAX_TTL}`,
+        )
+        .default(900),
+});
+
+export const reservationActionSchema = z.object({
+    reservationId: z.uuid("reservationId must be a UUID"),
+});
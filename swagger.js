@@ -1,5 +1,6 @@
 import swaggerJSDoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
+import { logger } from "./src/observability/logger.js";
 
 const options = {
     definition: {
@@ -7,7 +8,8 @@ const options = {
         info: {
             title: "Product API with Redis Caching",
             version: "1.0.0",
-            description: "API documentation for Product API with Redis caching",
+            description:
+                "API documentation for Product API with Redis caching. Requests are rate limited per client: responses carry RateLimit-* headers, and 429 responses a Retry-After header.",
         },
         servers: [
             {
@@ -15,6 +17,25 @@ const options = {
                 description: "Development server",
             },
         ],
+        components: {
+            securitySchemes: {
+                BearerAuth: {
+                    type: "http",
+                    scheme: "bearer",
+                    bearerFormat: "JWT",
+                    description:
+                        "An HS256 JWT signed with JWT_SECRET, with a `role` claim (reader, editor or admin) and `exp`. The ADMIN_API_TOKEN is also accepted and grants admin.",
+                },
+                ApiKeyAuth: {
+                    type: "apiKey",
+                    in: "header",
+                    name: "X-API-Key",
+                    description: "An API key created with `npm run api-key`",
+                },
+            },
+        },
+        // ! Reads need reader, writes editor, /admin/cache admin
+        security: [{ BearerAuth: [] }, { ApiKeyAuth: [] }],
     },
     apis: ["./src/routes/*.js"],
 };
@@ -23,5 +44,5 @@ export const swaggerSpec = swaggerJSDoc(options);
 
 export const swaggerDocs = (app) => {
     app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-    console.log("Swagger docs available at http://localhost:5000/docs");
+    logger.debug("Swagger docs available at /docs");
 };
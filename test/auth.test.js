@@ -0,0 +1,188 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { insertProducts, startPostgres } from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { signToken } from "./helpers/auth.js";
+import { generateApiKey, hashApiKey } from "../src/middleware/auth.js";
+import { insertApiKey, revokeApiKey } from "../src/queries/apiKeys.js";
+
+const ADMIN_TOKEN = "test-admin-token";
+
+const PRODUCT = {
+    name: "Desk Lamp",
+    description: "LED",
+    quantity: 10,
+    price: 30,
+    category: "Furniture",
+};
+
+describe("authentication and roles", () => {
+    let postgres;
+    let app;
+
+    before(async () => {
+        postgres = await startPostgres();
+        app = await startTestApp({
+            pgPool: postgres.pgPool,
+            authOptions: { adminToken: ADMIN_TOKEN },
+        });
+    });
+
+    beforeEach(async () => {
+        await postgres.reset();
+        await app.cache.purge("*");
+        await insertProducts(postgres.pgPool, [PRODUCT]);
+    });
+
+    after(async () => {
+        await app.close();
+        await postgres.stop();
+    });
+
+    const createKey = async (role) => {
+        const key = generateApiKey();
+        const created = await insertApiKey(postgres.pgPool, {
+            name: `${role} key`,
+            role,
+            keyHash: hashApiKey(key),
+        });
+        return { key, id: created.id };
+    };
+
+    test("requests without credentials are refused", async () => {
+        const res = await app.request("/products", { role: null });
+        assert.equal(res.status, 401);
+        assert.match(res.headers.get("www-authenticate"), /^Bearer/);
+        assert.equal(
+            (await app.request("/health", { role: null })).status,
+            200,
+        );
+    });
+
+    test("readers can read but not write", async () => {
+        assert.equal(
+            (await app.request("/products/1", { role: "reader" })).status,
+            200,
+        );
+        const res = await app.request("/products", {
+            method: "POST",
+            role: "reader",
+            body: PRODUCT,
+        });
+        assert.equal(res.status, 403);
+    });
+
+    test("editors can write but not use the cache admin API", async () => {
+        const created = await app.request("/products", {
+            method: "POST",
+            body: PRODUCT,
+        });
+        assert.equal(created.status, 201);
+        assert.equal((await app.request("/admin/cache/keys")).status, 403);
+        assert.equal(
+            (await app.request("/admin/cache/keys", { role: "admin" })).status,
+            200,
+        );
+    });
+
+    test("invalid, expired and unsigned JWTs are refused", async () => {
+        const tokens = [
+            "not-a-jwt",
+            signToken({ role: "admin" }, "another-secret"),
+            signToken({ role: "admin", exp: 1 }),
+            signToken({ role: "superuser" }),
+            // ! alg "none" with the signature stripped
+            `${Buffer.from('{"alg":"none"}').toString("base64url")}.${
+                signToken({ role: "admin" }).split(".")[1]
+            }.`,
+        ];
+        for (const token of tokens) {
+            const res = await app.request("/products", {
+                role: null,
+                headers: { Authorization: `Bearer ${token}` },
+            });
+            assert.equal(res.status, 401, token);
+        }
+    });
+
+    test("the admin token grants the admin role", async () => {
+        const res = await app.request("/admin/cache/keys", {
+            role: null,
+            headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+        });
+        assert.equal(res.status, 200);
+    });
+
+    test("API keys are checked against their hash and role", async () => {
+        const editor = await createKey("editor");
+        const created = await app.request("/products", {
+            method: "POST",
+            role: null,
+            headers: { "X-API-Key": editor.key },
+            body: PRODUCT,
+        });
+        assert.equal(created.status, 201);
+
+        const reader = await createKey("reader");
+        const refused = await app.request("/products", {
+            method: "POST",
+            role: null,
+            headers: { "X-API-Key": reader.key },
+            body: PRODUCT,
+        });
+        assert.equal(refused.status, 403);
+
+        const unknown = await app.request("/products", {
+            role: null,
+            headers: { "X-API-Key": generateApiKey() },
+        });
+        assert.equal(unknown.status, 401);
+    });
+
+    test("API keys are cached, revocation applies once the entry expires", async () => {
+        const { key, id } = await createKey("reader");
+        const headers = { "X-API-Key": key };
+        assert.equal(
+            (await app.request("/products", { role: null, headers })).status,
+            200,
+        );
+
+        await revokeApiKey(postgres.pgPool, id);
+        assert.equal(
+            (await app.request("/products", { role: null, headers })).status,
+            200,
+        );
+
+        await app.cache.purge("auth:*");
+        assert.equal(
+            (await app.request("/products", { role: null, headers })).status,
+            401,
+        );
+    });
+
+    test("unknown API keys are cached as misses", async () => {
+        const key = generateApiKey();
+        const headers = { "X-API-Key": key };
+        assert.equal(
+            (await app.request("/products", { role: null, headers })).status,
+            401,
+        );
+
+        // ! Answered from the cached miss, without looking the key up again
+        await insertApiKey(postgres.pgPool, {
+            name: "late key",
+            role: "reader",
+            keyHash: hashApiKey(key),
+        });
+        assert.equal(
+            (await app.request("/products", { role: null, headers })).status,
+            401,
+        );
+
+        await app.cache.purge("auth:*");
+        assert.equal(
+            (await app.request("/products", { role: null, headers })).status,
+            200,
+        );
+    });
+});
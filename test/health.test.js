@@ -0,0 +1,91 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startPostgres } from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { createCircuitBreaker } from "../src/cache/index.js";
+
+describe("health routes", () => {
+    let postgres;
+    let app;
+
+    before(async () => {
+        postgres = await startPostgres();
+        // ! Opens on the first failed ping
+        app = await startTestApp({
+            pgPool: postgres.pgPool,
+            breaker: createCircuitBreaker({ failureThreshold: 1 }),
+        });
+    });
+
+    after(async () => {
+        await app.close();
+        await postgres.stop();
+    });
+
+    test("GET /health reports OK with Postgres and Redis up", async () => {
+        const res = await app.request("/health");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "OK");
+        assert.equal(res.body.cache, "closed");
+    });
+
+    test("GET /health/db checks Postgres", async () => {
+        const res = await app.request("/health/db");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "OK");
+    });
+
+    test("GET /health/redis checks Redis", async () => {
+        const res = await app.request("/health/redis");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "OK");
+    });
+
+    test("reports DEGRADED instead of failing when Redis is down", async () => {
+        app.redisClient.down = true;
+        try {
+            const redis = await app.request("/health/redis");
+            assert.equal(redis.status, 503);
+            assert.equal(redis.body.status, "DEGRADED");
+
+            const overall = await app.request("/health");
+            assert.equal(overall.status, 200);
+            assert.equal(overall.body.status, "DEGRADED");
+            // ! Failed pings don't open the cache's circuit
+            assert.equal(overall.body.cache, "closed");
+        } finally {
+            app.redisClient.down = false;
+        }
+    });
+
+    test("reports OK without pinging Redis when the cache is in memory", async (t) => {
+        const memoryApp = await startTestApp({
+            pgPool: postgres.pgPool,
+            breaker: createCircuitBreaker({ failureThreshold: 1 }),
+            redisClient: null,
+        });
+        t.after(memoryApp.close);
+
+        for (let i = 0; i < 3; i++) {
+            const res = await memoryApp.request("/health");
+            assert.equal(res.body.status, "OK");
+            assert.equal(res.body.cache, "closed");
+        }
+        const redis = await memoryApp.request("/health/redis");
+        assert.equal(redis.status, 200);
+
+        // ! The cache's breaker is shared with idempotency keys
+        const created = await memoryApp.request("/products", {
+            method: "POST",
+            headers: { "Idempotency-Key": "health-1" },
+            body: {
+                name: "Desk Lamp",
+                description: "LED",
+                quantity: 1,
+                price: 30,
+                category: "Furniture",
+            },
+        });
+        assert.equal(created.status, 201);
+    });
+});
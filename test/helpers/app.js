@@ -0,0 +1,106 @@
+import { createApp } from "../../src/app.js";
+import {
+    createCache,
+    createCircuitBreaker,
+    createMemoryStore,
+} from "../../src/cache/index.js";
+import { createMetrics } from "../../src/metrics/metrics.js";
+import { createAuth } from "../../src/middleware/auth.js";
+import { createRateLimiter } from "../../src/middleware/rateLimit.js";
+import { createMemoryRateLimiter } from "../../src/rateLimit/index.js";
+import { logger } from "../../src/observability/logger.js";
+import { TEST_JWT_SECRET, signToken } from "./auth.js";
+
+// ! Keeps the test output readable, set LOG_LEVEL to see the app's logs
+logger.setLevel(process.env.LOG_LEVEL || "silent");
+
+/**
+ * Redis client double for the routes that talk to Redis directly (health).
+ * `down = true` makes every command fail like an unreachable server.
+ */
+export const createFakeRedisClient = () => {
+    const client = {
+        down: false,
+        ping: async () => {
+            if (client.down) throw new Error("connect ECONNREFUSED");
+            return "PONG";
+        },
+    };
+    return client;
+};
+
+/**
+ * Builds the app with an in-memory cache store and starts it on a random
+ * port. `request(path, options)` is fetch against that server, with JSON
+ * bodies encoded for you. Requests carry a JWT for `role` ("editor" unless
+ * given), `role: null` sends them without credentials. Rate limiting is
+ * off unless `rateLimitOptions` are given.
+ */
+export const startTestApp = async ({
+    pgPool,
+    breaker = createCircuitBreaker(),
+    authOptions = {},
+    rateLimitOptions,
+    ...options
+}) => {
+    const redisClient = createFakeRedisClient();
+    const store = createMemoryStore();
+    const metrics = createMetrics({ collectDefaults: false });
+    const cache = createCache({ store, metrics, breaker });
+    const auth = createAuth({
+        pgPool,
+        cache,
+        jwtSecret: TEST_JWT_SECRET,
+        ...authOptions,
+    });
+    const rateLimiter = createRateLimiter({
+        limiter: createMemoryRateLimiter(),
+        metrics,
+        enabled: rateLimitOptions !== undefined,
+        ...rateLimitOptions,
+    });
+    const app = createApp({
+        redisClient,
+        pgPool,
+        metrics,
+        cache,
+        auth,
+        rateLimiter,
+        ...options,
+    });
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    const request = async (
+        path,
+        { body, headers = {}, role = "editor", ...init } = {},
+    ) => {
+        if (role) {
+            headers = {
+                Authorization: `Bearer ${signToken({ role })}`,
+                ...headers,
+            };
+        }
+        const response = await fetch(`${baseUrl}${path}`, {
+            ...init,
+            headers:
+                body === undefined
+                    ? headers
+                    : { "Content-Type": "application/json", ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: text ? JSON.parse(text) : null,
+        };
+    };
+
+    const close = () => new Promise((resolve) => server.close(resolve));
+
+    return { request, close, cache, store, redisClient, metrics };
+};
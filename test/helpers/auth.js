@@ -0,0 +1,22 @@
+import { createHmac } from "node:crypto";
+
+export const TEST_JWT_SECRET = "test-jwt-secret";
+
+const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Signs an HS256 JWT, valid for an hour unless `claims` override `exp`.
+ */
+export const signToken = (claims, secret = TEST_JWT_SECRET) => {
+    const header = encode({ alg: "HS256", typ: "JWT" });
+    const payload = encode({
+        sub: "test",
+        exp: Math.floor(Date.now() / 1000) + 3600,
+        ...claims,
+    });
+    const signature = createHmac("sha256", secret)
+        .update(`${header}.${payload}`)
+        .digest("base64url");
+    return `${header}.${payload}.${signature}`;
+};
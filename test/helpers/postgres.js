@@ -0,0 +1,126 @@
+import EmbeddedPostgres from "embedded-postgres";
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createPostgresPool } from "../../src/config/db.js";
+import { createMigrator } from "../../src/migrations/migrator.js";
+
+const freePort = () =>
+    new Promise((resolve, reject) => {
+        const server = createServer();
+        server.on("error", reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+
+const STEP_TIMEOUT_MS = 60000;
+
+/**
+ * Starts a throwaway Postgres server (bundled binaries, no network needed)
+ * in a temp directory and migrates a fresh database.
+ * Postgres refuses to run as root, so this throws when run as root.
+ */
+export const startPostgres = async () => {
+    if (process.getuid?.() === 0) {
+        throw new Error(
+            "Postgres refuses to run as root, run the tests as a regular user",
+        );
+    }
+    const databaseDir = await mkdtemp(path.join(tmpdir(), "product-test-pg-"));
+    const port = await freePort();
+    // ! Kept to explain a failed start
+    const logs = [];
+    const output = () => logs.slice(-20).join("");
+    const server = new EmbeddedPostgres({
+        databaseDir,
+        port,
+        user: "postgres",
+        password: "postgres",
+        persistent: false,
+        onLog: (message) => logs.push(message),
+    });
+    // ! Each step fails with Postgres' last output when it rejects or takes
+    // ! too long. The timer is kept referenced: a step that never settles
+    // ! must fail the run, not let the process exit with nothing left to do
+    // ! (which node:test reports as a pass).
+    const step = async (name, fn) => {
+        const failure = (reason) =>
+            new Error(`Embedded Postgres ${name} ${reason}\n${output()}`);
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(failure(`timed out after ${STEP_TIMEOUT_MS} ms`)),
+                STEP_TIMEOUT_MS,
+            );
+        });
+        try {
+            await Promise.race([fn(), timeout]);
+        } catch (err) {
+            // ! start() rejects without a reason when postgres exits early
+            throw err ?? failure("failed");
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+    await step("initdb", () => server.initialise());
+    await step("start", () => server.start());
+    await step("createdb", () => server.createDatabase("product_test"));
+
+    const pgConfig = {
+        host: "localhost",
+        port,
+        user: "postgres",
+        password: "postgres",
+        database: "product_test",
+    };
+    const pgPool = createPostgresPool(pgConfig);
+    await createMigrator({ pgPool, log: () => {} }).up();
+
+    // ! Empties every table between tests, ids start at 1 again
+    const reset = () =>
+        pgPool.query(
+            "TRUNCATE products, product_history, product_reservations, api_keys RESTART IDENTITY CASCADE",
+        );
+
+    const stop = async () => {
+        await pgPool.end();
+        await server.stop();
+        await rm(databaseDir, { recursive: true, force: true });
+    };
+
+    return { pgPool, pgConfig, reset, stop };
+};
+
+// ! Counts queries run directly on the pool (not on checked out clients),
+// ! which is how the routes read, so cache hits show up as no new queries
+export const countQueries = (pgPool) => {
+    const counter = { count: 0 };
+    const query = pgPool.query.bind(pgPool);
+    pgPool.query = (...args) => {
+        counter.count++;
+        return query(...args);
+    };
+    return counter;
+};
+
+export const insertProducts = async (pgPool, products) => {
+    const rows = [];
+    for (const product of products) {
+        const { rows: inserted } = await pgPool.query(
+            `INSERT INTO products (name, description, quantity, price, category)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [
+                product.name,
+                product.description ?? null,
+                product.quantity ?? 0,
+                product.price,
+                product.category ?? null,
+            ],
+        );
+        rows.push(inserted[0]);
+    }
+    return rows;
+};
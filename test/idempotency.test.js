@@ -0,0 +1,123 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startPostgres } from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { signToken } from "./helpers/auth.js";
+
+const PRODUCT = {
+    name: "Desk Lamp",
+    description: "LED",
+    quantity: 10,
+    price: 30,
+    category: "Furniture",
+};
+
+const countProducts = async (pgPool) =>
+    (await pgPool.query("SELECT COUNT(*)::int AS count FROM products")).rows[0]
+        .count;
+
+describe("Idempotency-Key", () => {
+    let postgres;
+    let app;
+
+    before(async () => {
+        postgres = await startPostgres();
+        app = await startTestApp({ pgPool: postgres.pgPool });
+    });
+
+    beforeEach(async () => {
+        await postgres.reset();
+        await app.cache.purge("*");
+    });
+
+    after(async () => {
+        await app.close();
+        await postgres.stop();
+    });
+
+    const create = (key, body = PRODUCT, headers = {}) =>
+        app.request("/products", {
+            method: "POST",
+            headers: { "Idempotency-Key": key, ...headers },
+            body,
+        });
+
+    test("a retry replays the first response without a second insert", async () => {
+        const first = await create("create-1");
+        assert.equal(first.status, 201);
+        assert.equal(first.headers.get("idempotent-replayed"), null);
+
+        const retry = await create("create-1");
+        assert.equal(retry.status, 201);
+        assert.equal(retry.headers.get("idempotent-replayed"), "true");
+        assert.deepEqual(retry.body, first.body);
+        assert.equal(await countProducts(postgres.pgPool), 1);
+    });
+
+    test("reusing a key with a different body is refused", async () => {
+        await create("create-2");
+        const res = await create("create-2", { ...PRODUCT, price: 40 });
+        assert.equal(res.status, 422);
+        assert.equal(await countProducts(postgres.pgPool), 1);
+    });
+
+    test("a retry while the first request runs gets 409", async () => {
+        await app.store.acquireLock(
+            "idempotency:jwt:test:POST:/products:create-3",
+            JSON.stringify({ state: "processing" }),
+            60000,
+        );
+        const res = await create("create-3");
+        assert.equal(res.status, 409);
+        assert.equal(await countProducts(postgres.pgPool), 0);
+    });
+
+    test("keys are scoped per client", async () => {
+        await create("shared");
+        const other = await create("shared", PRODUCT, {
+            Authorization: `Bearer ${signToken({ role: "editor", sub: "other" })}`,
+        });
+        assert.equal(other.status, 201);
+        assert.equal(other.headers.get("idempotent-replayed"), null);
+        assert.equal(await countProducts(postgres.pgPool), 2);
+    });
+
+    test("bulk writes are replayed too", async () => {
+        const request = () =>
+            app.request("/products/bulk", {
+                method: "POST",
+                headers: { "Idempotency-Key": "bulk-1" },
+                body: { items: [PRODUCT, PRODUCT] },
+            });
+        const first = await request();
+        const retry = await request();
+        assert.deepEqual(retry.body, first.body);
+        assert.equal(retry.headers.get("idempotent-replayed"), "true");
+        assert.equal(await countProducts(postgres.pgPool), 2);
+    });
+
+    test("requests without the header are not deduplicated", async () => {
+        for (let i = 0; i < 2; i++) {
+            await app.request("/products", { method: "POST", body: PRODUCT });
+        }
+        assert.equal(await countProducts(postgres.pgPool), 2);
+    });
+
+    test("the key must be printable and at most 255 characters", async () => {
+        assert.equal((await create("x".repeat(256))).status, 400);
+    });
+
+    test("with the store down requests with a key get 503", async () => {
+        const { acquireLock } = app.store;
+        app.store.acquireLock = async () => {
+            throw new Error("connect ECONNREFUSED");
+        };
+        try {
+            const res = await create("create-4");
+            assert.equal(res.status, 503);
+        } finally {
+            app.store.acquireLock = acquireLock;
+        }
+        assert.equal(await countProducts(postgres.pgPool), 0);
+    });
+});
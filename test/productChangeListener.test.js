@@ -0,0 +1,140 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { insertProducts, startPostgres } from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { startProductChangeListener } from "../src/listeners/productChangeListener.js";
+import { createCircuitBreaker } from "../src/cache/index.js";
+
+const waitFor = async (check, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await check()) return;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.fail("Timed out waiting for condition");
+};
+
+describe("product change listener", () => {
+    let postgres;
+    let app;
+    let listener;
+
+    before(async () => {
+        postgres = await startPostgres();
+        // ! Opens on the first failure and retries quickly, so outages
+        // ! recover (and replay queued invalidations) within a test
+        app = await startTestApp({
+            pgPool: postgres.pgPool,
+            breaker: createCircuitBreaker({
+                failureThreshold: 1,
+                resetTimeoutMs: 50,
+            }),
+        });
+        listener = startProductChangeListener({
+            pgConfig: postgres.pgConfig,
+            cache: app.cache,
+            retryDelay: 100,
+        });
+        // ! The listener connects in the background
+        await waitFor(async () => {
+            const { rows } = await postgres.pgPool.query(
+                "SELECT 1 FROM pg_stat_activity WHERE query LIKE 'LISTEN %'",
+            );
+            return rows.length > 0;
+        });
+        await insertProducts(postgres.pgPool, [
+            { name: "Laptop", quantity: 20, price: 999.99, category: "Tech" },
+        ]);
+    });
+
+    after(async () => {
+        await listener.stop();
+        await app.close();
+        await postgres.stop();
+    });
+
+    test("invalidates cached entries for rows changed outside the API", async () => {
+        await app.request("/products/1");
+        await app.request("/products?category=Tech");
+        assert.notEqual(await app.cache.get("products:1"), null);
+
+        await postgres.pgPool.query(
+            "UPDATE products SET price = 899.99 WHERE id = 1",
+        );
+
+        await waitFor(async () => (await app.cache.get("products:1")) === null);
+        const res = await app.request("/products?category=Tech");
+        assert.equal(res.body.data[0].price, "899.99");
+    });
+
+    test("keeps a product the API wrote through", async () => {
+        const [other] = await insertProducts(postgres.pgPool, [
+            { name: "Mouse", quantity: 5, price: 20, category: "Tech" },
+        ]);
+        await app.request(`/products/${other.id}`);
+
+        const updated = await app.request("/products/1", {
+            method: "PUT",
+            body: { price: 799.99 },
+        });
+        assert.equal(updated.status, 200);
+
+        // ! Notifications are handled in order, so once the later external
+        // ! change is applied the one for the PUT has been too
+        await postgres.pgPool.query(
+            "UPDATE products SET price = 19.99 WHERE id = $1",
+            [other.id],
+        );
+        await waitFor(
+            async () => (await app.cache.get(`products:${other.id}`)) === null,
+        );
+        assert.deepEqual(
+            await app.cache.get("products:1"),
+            updated.body.product,
+        );
+    });
+
+    test("queues the invalidation of a change made while the store is down", async () => {
+        await app.request("/products/1");
+        assert.notEqual(await app.cache.get("products:1"), null);
+
+        const store = { ...app.store };
+        const failed = [];
+        for (const [name, fn] of Object.entries(store)) {
+            if (typeof fn !== "function") continue;
+            app.store[name] = async () => {
+                failed.push(name);
+                throw new Error("connection lost");
+            };
+        }
+        try {
+            await postgres.pgPool.query(
+                "UPDATE products SET price = 699.99 WHERE id = 1",
+            );
+            // ! The version check fails first and opens the circuit, the
+            // ! invalidation that follows is queued without a store call
+            await waitFor(() => failed.includes("get"));
+        } finally {
+            Object.assign(app.store, store);
+        }
+
+        // ! The first call after the reset timeout closes the circuit and
+        // ! replays the queued invalidation
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        await waitFor(
+            async () =>
+                (await app.request("/products/1")).body.price === "699.99",
+        );
+    });
+
+    test("purges the product cache after reconnecting, since changes were missed", async () => {
+        await app.request("/products/1");
+        assert.notEqual(await app.cache.get("products:1"), null);
+
+        await postgres.pgPool.query(
+            "SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE query LIKE 'LISTEN %'",
+        );
+
+        await waitFor(async () => (await app.cache.get("products:1")) === null);
+    });
+});
@@ -0,0 +1,607 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    countQueries,
+    insertProducts,
+    startPostgres,
+} from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { createCircuitBreaker } from "../src/cache/index.js";
+import { productListKey } from "../src/cache/productEntries.js";
+import { productListQuerySchema } from "../src/schemas/productSchema.js";
+
+const SAMPLE_PRODUCTS = [
+    {
+        name: "Laptop",
+        description: "15-inch display",
+        quantity: 20,
+        price: 999.99,
+        category: "Electronics",
+    },
+    {
+        name: "Wireless Mouse",
+        description: "Bluetooth mouse",
+        quantity: 50,
+        price: 25.5,
+        category: "Accessories",
+    },
+    {
+        name: "Office Chair",
+        description: "Adjustable height",
+        quantity: 15,
+        price: 120,
+        category: "Furniture",
+    },
+];
+
+describe("product routes", () => {
+    let postgres;
+    let app;
+    let queries;
+
+    before(async () => {
+        postgres = await startPostgres();
+        queries = countQueries(postgres.pgPool);
+        app = await startTestApp({ pgPool: postgres.pgPool });
+    });
+
+    beforeEach(async () => {
+        await postgres.reset();
+        await app.cache.purge("*");
+        await insertProducts(postgres.pgPool, SAMPLE_PRODUCTS);
+        queries.count = 0;
+    });
+
+    after(async () => {
+        await app.close();
+        await postgres.stop();
+    });
+
+    describe("cache hits and misses", () => {
+        test("GET /products/:id loads a miss from Postgres, then serves it from the cache", async () => {
+            const first = await app.request("/products/1");
+            assert.equal(first.status, 200);
+            assert.equal(first.body.name, "Laptop");
+            assert.equal(queries.count, 1);
+
+            const second = await app.request("/products/1");
+            assert.equal(second.status, 200);
+            assert.deepEqual(second.body, first.body);
+            assert.equal(queries.count, 1);
+        });
+
+        test("GET /products/:id hits are counted in batches", async () => {
+            await app.cache.flushAccess();
+            const incrementScores = app.store.incrementScores;
+            let writes = 0;
+            app.store.incrementScores = (...args) => {
+                writes++;
+                return incrementScores(...args);
+            };
+            try {
+                for (const id of [1, 2, 1, 1]) {
+                    await app.request(`/products/${id}`);
+                }
+                assert.equal(writes, 0);
+
+                assert.deepEqual(
+                    await app.cache
+                        .namespace("products")
+                        .topAccessed("hits", 2),
+                    ["1", "2"],
+                );
+                assert.equal(writes, 1);
+            } finally {
+                app.store.incrementScores = incrementScores;
+            }
+        });
+
+        test("GET /products/:id does not cache a missing product", async () => {
+            assert.equal((await app.request("/products/999")).status, 404);
+            assert.equal((await app.request("/products/999")).status, 404);
+            assert.equal(queries.count, 2);
+        });
+
+        test("GET /products caches each page by query", async () => {
+            const page = await app.request("/products?limit=2");
+            assert.equal(page.status, 200);
+            assert.deepEqual(
+                page.body.data.map((product) => product.id),
+                [1, 2],
+            );
+            assert.ok(page.body.nextCursor);
+
+            await app.request("/products?limit=2");
+            assert.equal(queries.count, 1);
+
+            const next = await app.request(
+                `/products?limit=2&cursor=${page.body.nextCursor}`,
+            );
+            assert.deepEqual(
+                next.body.data.map((product) => product.id),
+                [3],
+            );
+            assert.equal(next.body.nextCursor, null);
+            assert.equal(queries.count, 2);
+        });
+
+        test("GET /products?ids= reads cached products and loads only the rest", async () => {
+            await app.request("/products/2");
+            queries.count = 0;
+
+            const res = await app.request("/products?ids=2,1,42");
+            assert.equal(res.status, 200);
+            assert.deepEqual(
+                res.body.data.map((product) => product.id),
+                [2, 1],
+            );
+            assert.deepEqual(res.body.notFound, [42]);
+            assert.equal(queries.count, 1);
+        });
+
+        test("warming skips products without a category", async () => {
+            await insertProducts(postgres.pgPool, [
+                { name: "Gift Card", quantity: 100, price: 25 },
+            ]);
+            const res = await app.request("/admin/cache/warm", {
+                method: "POST",
+                role: "admin",
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.failed, 0);
+            const productCache = app.cache.namespace("products");
+            for (const query of [{}, { category: "Electronics" }]) {
+                const key = productListKey(productListQuerySchema.parse(query));
+                assert.notEqual(await productCache.get(key), null);
+            }
+        });
+
+        test("falls back to Postgres when the cache store fails", async () => {
+            const get = app.store.get;
+            app.store.get = async () => {
+                throw new Error("connection lost");
+            };
+            try {
+                const res = await app.request("/products/3");
+                assert.equal(res.status, 200);
+                assert.equal(res.body.name, "Office Chair");
+            } finally {
+                app.store.get = get;
+            }
+        });
+    });
+
+    describe("cache outage", () => {
+        test("products written during an outage are dropped once the store is back", async (t) => {
+            const outageApp = await startTestApp({
+                pgPool: postgres.pgPool,
+                breaker: createCircuitBreaker({
+                    failureThreshold: 1,
+                    resetTimeoutMs: 50,
+                }),
+            });
+            t.after(outageApp.close);
+            await outageApp.request("/products/1");
+            await outageApp.request("/products/2");
+
+            const store = { ...outageApp.store };
+            for (const [name, fn] of Object.entries(store)) {
+                if (typeof fn !== "function") continue;
+                outageApp.store[name] = async () => {
+                    throw new Error("connection lost");
+                };
+            }
+            try {
+                const updated = await outageApp.request("/products/1", {
+                    method: "PUT",
+                    body: { price: 899.99 },
+                });
+                assert.equal(updated.status, 200);
+                const deleted = await outageApp.request("/products/2", {
+                    method: "DELETE",
+                });
+                assert.equal(deleted.status, 200);
+            } finally {
+                Object.assign(outageApp.store, store);
+            }
+
+            // ! The first call after the reset timeout closes the circuit,
+            // ! which replays the queued invalidations in the background
+            await new Promise((resolve) => setTimeout(resolve, 60));
+            const deadline = Date.now() + 2000;
+            while (
+                (await outageApp.request("/products/1")).body.price !==
+                    "899.99" ||
+                (await outageApp.request("/products/2")).status !== 404
+            ) {
+                assert.ok(Date.now() < deadline, "stale entries were kept");
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+        });
+    });
+
+    describe("invalidation after writes", () => {
+        test("POST /products shows up in cached listings", async () => {
+            await app.request("/products");
+            const created = await app.request("/products", {
+                method: "POST",
+                body: {
+                    name: "Desk Lamp",
+                    description: "LED lamp",
+                    quantity: 30,
+                    price: 45,
+                    category: "Accessories",
+                },
+            });
+            assert.equal(created.status, 201);
+
+            const list = await app.request("/products");
+            assert.deepEqual(
+                list.body.data.map((product) => product.name),
+                ["Laptop", "Wireless Mouse", "Office Chair", "Desk Lamp"],
+            );
+        });
+
+        test("PUT /products/:id replaces the cached product and listings", async () => {
+            await app.request("/products/1");
+            await app.request("/products?category=Electronics");
+
+            const updated = await app.request("/products/1", {
+                method: "PUT",
+                body: { price: 899.99, category: "Computers" },
+            });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.product.version, 2);
+
+            queries.count = 0;
+            const product = await app.request("/products/1");
+            assert.equal(product.body.price, "899.99");
+            assert.equal(product.body.version, 2);
+            // ! Written through, so no reload
+            assert.equal(queries.count, 0);
+
+            const previousCategory = await app.request(
+                "/products?category=Electronics",
+            );
+            assert.deepEqual(previousCategory.body.data, []);
+        });
+
+        test("DELETE /products/:id drops the product and its listings", async () => {
+            await app.request("/products/2");
+            await app.request("/products");
+
+            const deleted = await app.request("/products/2", {
+                method: "DELETE",
+            });
+            assert.equal(deleted.status, 200);
+
+            assert.equal((await app.request("/products/2")).status, 404);
+            const list = await app.request("/products");
+            assert.deepEqual(
+                list.body.data.map((product) => product.id),
+                [1, 3],
+            );
+        });
+
+        test("a listing revalidated after a delete is not reported unchanged", async () => {
+            const listed = await app.request("/products");
+            assert.equal(listed.headers.get("last-modified"), null);
+
+            await app.request("/products/2", { method: "DELETE" });
+
+            const revalidated = await app.request("/products", {
+                headers: { "If-Modified-Since": new Date().toUTCString() },
+            });
+            assert.equal(revalidated.status, 200);
+            assert.deepEqual(
+                revalidated.body.data.map((product) => product.id),
+                [1, 3],
+            );
+        });
+
+        test("PUT with a stale If-Match is refused", async () => {
+            const product = await app.request("/products/1");
+            await app.request("/products/1", {
+                method: "PUT",
+                body: { quantity: 19 },
+            });
+
+            const res = await app.request("/products/1", {
+                method: "PUT",
+                headers: { "If-Match": product.headers.get("etag") },
+                body: { quantity: 18 },
+            });
+            assert.equal(res.status, 412);
+        });
+
+        test("search results follow product changes", async () => {
+            const before = await app.request("/products/search?q=chair");
+            assert.deepEqual(
+                before.body.data.map((product) => product.id),
+                [3],
+            );
+
+            await app.request("/products", {
+                method: "POST",
+                body: {
+                    name: "Gaming Chair",
+                    description: "Reclining",
+                    quantity: 5,
+                    price: 250,
+                    category: "Furniture",
+                },
+            });
+            const after = await app.request("/products/search?q=chair");
+            assert.deepEqual(
+                after.body.data.map((product) => product.id).sort(),
+                [3, 4],
+            );
+        });
+
+        test("stats are recomputed after a write", async () => {
+            const before = await app.request("/products/stats");
+            assert.equal(before.body.totals.products, 3);
+            assert.equal(before.body.totals.quantity, 85);
+
+            const updated = await app.request("/products/3", {
+                method: "PUT",
+                body: { quantity: 5 },
+            });
+            assert.equal(updated.status, 200);
+            const after = await app.request("/products/stats");
+            assert.equal(after.body.totals.quantity, 75);
+        });
+    });
+
+    describe("bulk writes", () => {
+        test("concurrent PATCH /products/bulk over the same rows in any order succeed", async () => {
+            const patch = (ids) =>
+                app.request("/products/bulk", {
+                    method: "PATCH",
+                    body: { items: ids.map((id) => ({ id, quantity: id })) },
+                });
+
+            const responses = await Promise.all(
+                Array.from({ length: 10 }, (_, i) =>
+                    patch(i % 2 ? [1, 2, 3] : [3, 2, 1]),
+                ),
+            );
+            for (const res of responses) {
+                assert.equal(res.status, 200);
+                assert.ok(res.body.results.every((r) => r.status === 200));
+            }
+
+            const { rows } = await postgres.pgPool.query(
+                "SELECT version FROM products ORDER BY id",
+            );
+            assert.deepEqual(
+                rows.map((row) => row.version),
+                [11, 11, 11],
+            );
+        });
+    });
+
+    describe("soft delete and history", () => {
+        test("a deleted product can be restored", async () => {
+            const deleted = await app.request("/products/2", {
+                method: "DELETE",
+            });
+            assert.ok(deleted.body.deleted.deleted_at);
+            assert.equal(
+                (await app.request("/products/stats")).body.totals.products,
+                2,
+            );
+
+            const restored = await app.request("/products/2/restore", {
+                method: "POST",
+            });
+            assert.equal(restored.status, 200);
+            assert.equal(restored.body.product.deleted_at, null);
+            assert.equal((await app.request("/products/2")).status, 200);
+            assert.equal(
+                (await app.request("/products/stats")).body.totals.products,
+                3,
+            );
+        });
+
+        test("a read that loaded the product before its delete can't cache it again", async () => {
+            const productCache = app.cache.namespace("products");
+            const row = (await app.request("/products/2")).body;
+            await productCache.del(2);
+
+            // ! A GET whose loader read the row just before the delete
+            let finishLoad;
+            const loaded = new Promise((resolve) => (finishLoad = resolve));
+            const read = productCache.wrap(2, 300, () => loaded, {
+                version: (product) => product.version,
+            });
+
+            await app.request("/products/2", { method: "DELETE" });
+            finishLoad(row);
+            await read;
+
+            assert.equal((await app.request("/products/2")).status, 404);
+        });
+
+        test("a stale entry whose refresh finds nothing is dropped", async () => {
+            const productCache = app.cache.namespace("products");
+            await productCache.set("gone", { id: 1 }, { ttl: 0, staleTtl: 60 });
+
+            const stale = await productCache.wrap(
+                "gone",
+                300,
+                async () => null,
+            );
+            assert.deepEqual(stale, { id: 1 });
+
+            const deadline = Date.now() + 2000;
+            while ((await productCache.get("gone")) !== null) {
+                assert.ok(Date.now() < deadline, "stale entry was kept");
+                await new Promise((resolve) => setTimeout(resolve, 10));
+            }
+        });
+
+        test("restoring a product that is not deleted is refused", async () => {
+            const res = await app.request("/products/1/restore", {
+                method: "POST",
+            });
+            assert.equal(res.status, 409);
+            const missing = await app.request("/products/99/restore", {
+                method: "POST",
+            });
+            assert.equal(missing.status, 404);
+        });
+
+        test("GET /products/:id/history lists every change, newest first", async () => {
+            await app.request("/products/1", {
+                method: "PUT",
+                body: { quantity: 19 },
+            });
+            await app.request("/products/1", { method: "DELETE" });
+            await app.request("/products/1/restore", { method: "POST" });
+
+            const res = await app.request("/products/1/history");
+            assert.equal(res.status, 200);
+            assert.deepEqual(
+                res.body.data.map((entry) => entry.op),
+                ["restore", "delete", "update", "create"],
+            );
+            assert.equal(res.body.data[2].before.quantity, 20);
+            assert.equal(res.body.data[2].after.quantity, 19);
+            assert.equal(res.body.data[3].before, null);
+
+            const limited = await app.request("/products/1/history?limit=1");
+            assert.equal(limited.body.data.length, 1);
+            assert.equal(
+                (await app.request("/products/99/history")).status,
+                404,
+            );
+        });
+
+        test("GET /products/:id/history is empty for a product without history", async () => {
+            // ! e.g. created before the history table existed
+            await postgres.pgPool.query(
+                "DELETE FROM product_history WHERE product_id = 1",
+            );
+            const res = await app.request("/products/1/history");
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data, []);
+        });
+    });
+
+    describe("pagination", () => {
+        const SORT_FIELDS = [
+            "id",
+            "name",
+            "price",
+            "quantity",
+            "created_at",
+            "updated_at",
+        ];
+
+        const walkPages = async (query) => {
+            const ids = [];
+            let cursor = "";
+            do {
+                const page = await app.request(
+                    `/products?limit=2&${query}${cursor && `&cursor=${cursor}`}`,
+                );
+                assert.equal(page.status, 200);
+                ids.push(...page.body.data.map((product) => product.id));
+                cursor = page.body.nextCursor;
+            } while (cursor);
+            return ids;
+        };
+
+        beforeEach(async () => {
+            await insertProducts(postgres.pgPool, [
+                { name: "Desk", quantity: 15, price: 120 },
+                { name: "Lamp", quantity: 5, price: 30 },
+            ]);
+            // ! Sub-millisecond timestamps and ties, broken by id
+            await postgres.pgPool.query(
+                `UPDATE products SET
+                     created_at = '2026-01-01 10:00:00.000100'::timestamp + (id / 2) * interval '1 microsecond',
+                     updated_at = '2026-01-01 10:00:00.000999'`,
+            );
+        });
+
+        for (const sort of SORT_FIELDS) {
+            test(`walks every page once with sort=${sort}`, async () => {
+                for (const order of ["asc", "desc"]) {
+                    const query = `sort=${sort}&order=${order}`;
+                    const all = await app.request(
+                        `/products?limit=100&${query}`,
+                    );
+                    const expected = all.body.data.map((product) => product.id);
+                    assert.equal(expected.length, 5);
+                    assert.deepEqual(await walkPages(query), expected);
+                }
+            });
+        }
+
+        test("a cursor is refused for another sort", async () => {
+            const page = await app.request("/products?limit=2&sort=name");
+            const res = await app.request(
+                `/products?limit=2&sort=price&cursor=${page.body.nextCursor}`,
+            );
+            assert.equal(res.status, 400);
+        });
+
+        test("a tampered cursor is refused before it reaches Postgres", async () => {
+            const cursors = [
+                { s: "price", v: {}, id: 1 },
+                { s: "price", v: "abc", id: 1 },
+                { s: "quantity", v: "99999999999", id: 1 },
+                { s: "created_at", v: "2026-02-31 10:00:00", id: 1 },
+                { s: "name", v: "Desk", id: 2 ** 40 },
+            ];
+            for (const cursor of cursors) {
+                const encoded = Buffer.from(JSON.stringify(cursor)).toString(
+                    "base64url",
+                );
+                const res = await app.request(
+                    `/products?sort=${cursor.s}&cursor=${encoded}`,
+                );
+                assert.equal(res.status, 400, JSON.stringify(cursor));
+                assert.match(JSON.stringify(res.body), /cursor is invalid/);
+            }
+        });
+    });
+
+    describe("validation errors", () => {
+        test("POST /products rejects an invalid body", async () => {
+            const res = await app.request("/products", {
+                method: "POST",
+                body: { name: "", price: -1 },
+            });
+            assert.equal(res.status, 400);
+            assert.ok(Array.isArray(res.body.error));
+            assert.ok(res.body.error.length > 0);
+        });
+
+        test("PUT /products/:id rejects an empty update", async () => {
+            const res = await app.request("/products/1", {
+                method: "PUT",
+                body: {},
+            });
+            assert.equal(res.status, 400);
+        });
+
+        test("GET /products rejects an invalid query", async () => {
+            const res = await app.request("/products?limit=1000");
+            assert.equal(res.status, 400);
+        });
+
+        test("GET /products/:id rejects a non-numeric id", async () => {
+            const res = await app.request("/products/abc");
+            assert.equal(res.status, 400);
+        });
+
+        test("no query reaches Postgres for invalid requests", async () => {
+            await app.request("/products", { method: "POST", body: {} });
+            await app.request("/products?sort=nope");
+            assert.equal(queries.count, 0);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { insertProducts, startPostgres } from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { signToken } from "./helpers/auth.js";
+import { generateApiKey } from "../src/middleware/auth.js";
+import { createCircuitBreaker } from "../src/cache/index.js";
+import { createMemoryRateLimiter } from "../src/rateLimit/index.js";
+
+const PRODUCT = {
+    name: "Desk Lamp",
+    description: "LED",
+    quantity: 10,
+    price: 30,
+    category: "Furniture",
+};
+
+const asSubject = (sub) => ({
+    Authorization: `Bearer ${signToken({ role: "editor", sub })}`,
+});
+
+describe("rate limiting", () => {
+    let postgres;
+    let app;
+    let limiter;
+
+    before(async () => {
+        postgres = await startPostgres();
+        await insertProducts(postgres.pgPool, [PRODUCT]);
+    });
+
+    beforeEach(async () => {
+        limiter = createMemoryRateLimiter();
+        app = await startTestApp({
+            pgPool: postgres.pgPool,
+            rateLimitOptions: {
+                limiter,
+                policies: {
+                    read: { limit: 2, windowSeconds: 60 },
+                    write: { limit: 1, windowSeconds: 60 },
+                },
+                overrides: { "jwt:partner": { read: { limit: 5 } } },
+            },
+        });
+    });
+
+    after(async () => {
+        await postgres.stop();
+    });
+
+    const closeApp = () => app.close();
+
+    test("reads over the limit get 429 with Retry-After", async (t) => {
+        t.after(closeApp);
+        const first = await app.request("/products/1");
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get("ratelimit-limit"), "2");
+        assert.equal(first.headers.get("ratelimit-remaining"), "1");
+        assert.equal(first.headers.get("ratelimit-policy"), "2;w=60");
+
+        await app.request("/products/1");
+        const limited = await app.request("/products/1");
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers.get("ratelimit-remaining"), "0");
+        const retryAfter = Number(limited.headers.get("retry-after"));
+        assert.ok(retryAfter > 0 && retryAfter <= 60);
+    });
+
+    test("clients are limited separately and overrides apply", async (t) => {
+        t.after(closeApp);
+        for (let i = 0; i < 2; i++) await app.request("/products/1");
+        assert.equal((await app.request("/products/1")).status, 429);
+
+        const other = await app.request("/products/1", {
+            headers: asSubject("other"),
+        });
+        assert.equal(other.status, 200);
+
+        const partner = await app.request("/products/1", {
+            headers: asSubject("partner"),
+        });
+        assert.equal(partner.headers.get("ratelimit-limit"), "5");
+    });
+
+    test("writes are limited by their own token bucket", async (t) => {
+        t.after(closeApp);
+        const created = await app.request("/products", {
+            method: "POST",
+            body: PRODUCT,
+        });
+        assert.equal(created.status, 201);
+        const limited = await app.request("/products", {
+            method: "POST",
+            body: PRODUCT,
+        });
+        assert.equal(limited.status, 429);
+        // ! Reads still have their full allowance
+        assert.equal((await app.request("/products/1")).status, 200);
+    });
+
+    test("invalid credentials are limited per IP before authentication", async (t) => {
+        await app.close();
+        app = await startTestApp({
+            pgPool: postgres.pgPool,
+            rateLimitOptions: { limiter, policies: { ip: { limit: 2 } } },
+        });
+        t.after(closeApp);
+
+        const guess = () =>
+            app.request("/products/1", {
+                role: null,
+                headers: { "X-API-Key": generateApiKey() },
+            });
+        assert.equal((await guess()).status, 401);
+        assert.equal((await guess()).status, 401);
+        const limited = await guess();
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers.get("ratelimit-limit"), "2");
+    });
+
+    test("requests go through when the limiter fails", async (t) => {
+        await app.close();
+        app = await startTestApp({
+            pgPool: postgres.pgPool,
+            rateLimitOptions: {
+                limiter: {
+                    consume: async () => {
+                        throw new Error("connect ECONNREFUSED");
+                    },
+                },
+                breaker: createCircuitBreaker({ failureThreshold: 1 }),
+                policies: { read: { limit: 1 } },
+            },
+        });
+        t.after(closeApp);
+
+        for (let i = 0; i < 3; i++) {
+            const res = await app.request("/products/1");
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get("ratelimit-limit"), null);
+        }
+        const metrics = await app.metrics.register.metrics();
+        assert.match(
+            metrics,
+            /rate_limit_requests_total{policy="read",outcome="failed_open"} 3/,
+        );
+    });
+});
+
+describe("memory rate limiter", () => {
+    test("the sliding window frees a slot once the oldest request leaves it", async () => {
+        let now = 0;
+        const limiter = createMemoryRateLimiter({ now: () => now });
+        const policy = {
+            algorithm: "sliding-window",
+            limit: 2,
+            windowSeconds: 10,
+        };
+
+        await limiter.consume("k", policy);
+        now = 4000;
+        await limiter.consume("k", policy);
+        const limited = await limiter.consume("k", policy);
+        assert.equal(limited.allowed, false);
+        assert.equal(limited.retryAfterMs, 6000);
+
+        now = 10000;
+        assert.equal((await limiter.consume("k", policy)).allowed, true);
+    });
+
+    test("the token bucket refills at limit per window", async () => {
+        let now = 0;
+        const limiter = createMemoryRateLimiter({ now: () => now });
+        const policy = {
+            algorithm: "token-bucket",
+            limit: 4,
+            windowSeconds: 8,
+        };
+
+        for (let i = 0; i < 4; i++) {
+            assert.equal((await limiter.consume("k", policy)).allowed, true);
+        }
+        const limited = await limiter.consume("k", policy);
+        assert.equal(limited.allowed, false);
+        // ! One token every 2 s
+        assert.equal(limited.retryAfterMs, 2000);
+
+        now = 2000;
+        assert.equal((await limiter.consume("k", policy)).allowed, true);
+        assert.equal((await limiter.consume("k", policy)).allowed, false);
+    });
+});
@@ -0,0 +1,173 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    countQueries,
+    insertProducts,
+    startPostgres,
+} from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { createReservationSweeper } from "../src/jobs/reservationSweeper.js";
+
+const PRODUCTS = [
+    {
+        name: "Laptop",
+        description: "15-inch display",
+        quantity: 5,
+        price: 1000,
+        category: "Electronics",
+    },
+    {
+        name: "Limited Edition Mouse",
+        description: "Only one left",
+        quantity: 1,
+        price: 80,
+        category: "Accessories",
+    },
+];
+
+describe("stock reservations", () => {
+    let postgres;
+    let app;
+    let queries;
+    let sweeper;
+
+    before(async () => {
+        postgres = await startPostgres();
+        queries = countQueries(postgres.pgPool);
+        app = await startTestApp({ pgPool: postgres.pgPool });
+        sweeper = createReservationSweeper({
+            pgPool: postgres.pgPool,
+            cache: app.cache,
+        });
+    });
+
+    beforeEach(async () => {
+        await postgres.reset();
+        await app.cache.purge("*");
+        await insertProducts(postgres.pgPool, PRODUCTS);
+    });
+
+    after(async () => {
+        await app.close();
+        await postgres.stop();
+    });
+
+    const reserve = (id, body) =>
+        app.request(`/products/${id}/reserve`, { method: "POST", body });
+
+    const act = (id, action, reservationId) =>
+        app.request(`/products/${id}/${action}`, {
+            method: "POST",
+            body: { reservationId },
+        });
+
+    test("reserving takes stock and updates the cached product and stats", async () => {
+        await app.request("/products/1");
+        await app.request("/products/stats");
+
+        const res = await reserve(1, { quantity: 2 });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.reservation.status, "held");
+        assert.equal(res.body.product.quantity, 3);
+
+        queries.count = 0;
+        const product = await app.request("/products/1");
+        assert.equal(product.body.quantity, 3);
+        // ! Written through, so no reload
+        assert.equal(queries.count, 0);
+        const stats = await app.request("/products/stats");
+        assert.equal(stats.body.totals.quantity, 4);
+    });
+
+    test("only one of several concurrent buyers gets the last unit", async () => {
+        const results = await Promise.all(
+            Array.from({ length: 5 }, () => reserve(2, { quantity: 1 })),
+        );
+        const statuses = results.map((res) => res.status).sort();
+        assert.deepEqual(statuses, [201, 409, 409, 409, 409]);
+        assert.equal((await app.request("/products/2")).body.quantity, 0);
+    });
+
+    test("reserving more than is in stock is refused", async () => {
+        const res = await reserve(1, { quantity: 6 });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.available, 5);
+        assert.equal((await reserve(99, { quantity: 1 })).status, 404);
+    });
+
+    test("releasing gives the stock back, once", async () => {
+        const { body } = await reserve(1, { quantity: 2 });
+        const released = await act(1, "release", body.reservation.id);
+        assert.equal(released.status, 200);
+        assert.equal(released.body.reservation.status, "released");
+        assert.equal((await app.request("/products/1")).body.quantity, 5);
+
+        const again = await act(1, "release", body.reservation.id);
+        assert.equal(again.status, 409);
+    });
+
+    test("stock returned to a deleted product doesn't bring it back", async () => {
+        const released = await reserve(1, { quantity: 2 });
+        const expired = await reserve(2, { quantity: 1 });
+        await postgres.pgPool.query(
+            "UPDATE product_reservations SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1",
+            [expired.body.reservation.id],
+        );
+        for (const id of [1, 2]) {
+            const deleted = await app.request(`/products/${id}`, {
+                method: "DELETE",
+            });
+            assert.equal(deleted.status, 200);
+        }
+
+        assert.equal(
+            (await act(1, "release", released.body.reservation.id)).status,
+            200,
+        );
+        assert.equal(await sweeper.sweep(), 1);
+        assert.equal((await app.request("/products/1")).status, 404);
+        assert.equal((await app.request("/products/2")).status, 404);
+    });
+
+    test("committing keeps the stock taken", async () => {
+        const { body } = await reserve(1, { quantity: 2 });
+        const committed = await act(1, "commit", body.reservation.id);
+        assert.equal(committed.status, 200);
+        assert.equal(committed.body.reservation.status, "committed");
+        assert.equal((await app.request("/products/1")).body.quantity, 3);
+        assert.equal(
+            (await act(1, "release", body.reservation.id)).status,
+            409,
+        );
+    });
+
+    test("expired reservations can't be committed and are swept back into stock", async () => {
+        const { body } = await reserve(1, { quantity: 2 });
+        await reserve(1, { quantity: 1 });
+        await postgres.pgPool.query(
+            "UPDATE product_reservations SET expires_at = NOW() - INTERVAL '1 second' WHERE id = $1",
+            [body.reservation.id],
+        );
+
+        const committed = await act(1, "commit", body.reservation.id);
+        assert.equal(committed.status, 409);
+
+        assert.equal(await sweeper.sweep(), 1);
+        const product = await app.request("/products/1");
+        assert.equal(product.body.quantity, 4);
+        const { rows } = await postgres.pgPool.query(
+            "SELECT status FROM product_reservations ORDER BY created_at",
+        );
+        assert.deepEqual(
+            rows.map((row) => row.status),
+            ["expired", "held"],
+        );
+        assert.equal(await sweeper.sweep(), 0);
+    });
+
+    test("reservations are looked up per product", async () => {
+        const { body } = await reserve(1, { quantity: 1 });
+        assert.equal((await act(2, "commit", body.reservation.id)).status, 404);
+        assert.equal((await act(1, "commit", "not-a-uuid")).status, 400);
+    });
+});
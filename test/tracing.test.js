@@ -0,0 +1,186 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { startPostgres } from "./helpers/postgres.js";
+import { startTestApp } from "./helpers/app.js";
+import { createPostgresPool } from "../src/config/db.js";
+import { createMetrics, instrumentPgPool } from "../src/metrics/metrics.js";
+import {
+    createLogger,
+    createOtlpExporter,
+    createTracer,
+    logger,
+    runWithContext,
+} from "../src/observability/index.js";
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+const PARENT_SPAN_ID = "00f067aa0ba902b7";
+
+describe("Request tracing", () => {
+    let postgres;
+    let pgPool;
+    let app;
+    let exported;
+    let lines;
+
+    before(async () => {
+        postgres = await startPostgres();
+        // ! A pool of its own, the shared one connected before instrumentation
+        pgPool = instrumentPgPool(
+            createPostgresPool(postgres.pgConfig),
+            createMetrics({ collectDefaults: false }),
+        );
+        const tracer = createTracer({
+            exporter: { export: (spans) => exported.push(spans) },
+        });
+        app = await startTestApp({ pgPool, tracer });
+    });
+
+    beforeEach(async () => {
+        await postgres.reset();
+        await app.cache.purge("*");
+        exported = [];
+        lines = [];
+    });
+
+    after(async () => {
+        await app.close();
+        await pgPool.end();
+        await postgres.stop();
+    });
+
+    test("generates an X-Request-Id, or echoes the caller's", async () => {
+        const generated = await app.request("/products");
+        assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+        const given = await app.request("/products", {
+            headers: { "X-Request-Id": "checkout-42" },
+        });
+        assert.equal(given.headers.get("x-request-id"), "checkout-42");
+
+        const invalid = await app.request("/products", {
+            headers: { "X-Request-Id": "not a valid id" },
+        });
+        assert.notEqual(invalid.headers.get("x-request-id"), "not a valid id");
+    });
+
+    test("records a span per Postgres query under the request span", async () => {
+        const res = await app.request("/products/1", {
+            headers: { traceparent: `00-${TRACE_ID}-${PARENT_SPAN_ID}-01` },
+        });
+        assert.equal(res.status, 404);
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.equal(exported.length, 1);
+        const [root, ...children] = exported[0];
+        assert.equal(root.name, "GET /products/:id");
+        assert.equal(root.traceId, TRACE_ID);
+        assert.equal(root.parentSpanId, PARENT_SPAN_ID);
+        assert.equal(root.attributes["http.response.status_code"], 404);
+
+        const queries = children.filter((span) => span.name === "pg.query");
+        assert.ok(queries.length >= 1);
+        for (const span of queries) {
+            assert.equal(span.traceId, TRACE_ID);
+            assert.equal(span.parentSpanId, root.spanId);
+            assert.equal(span.attributes["db.system"], "postgresql");
+            assert.match(span.attributes["db.statement"], /products/);
+            assert.ok(span.end >= span.start);
+        }
+    });
+
+    test("log lines carry the request id and trace id", async () => {
+        logger.setLevel("info");
+        const write = process.stdout.write;
+        process.stdout.write = (chunk, ...rest) => {
+            if (String(chunk).startsWith('{"time"')) {
+                lines.push(JSON.parse(chunk));
+                return true;
+            }
+            return write.call(process.stdout, chunk, ...rest);
+        };
+        try {
+            await app.request("/products", {
+                headers: { "X-Request-Id": "list-1" },
+            });
+            await new Promise((resolve) => setImmediate(resolve));
+        } finally {
+            process.stdout.write = write;
+            logger.setLevel("silent");
+        }
+
+        const completed = lines.find(
+            (line) => line.msg === "Request completed",
+        );
+        assert.equal(completed.level, "info");
+        assert.equal(completed.requestId, "list-1");
+        assert.equal(completed.traceId, exported[0][0].traceId);
+        assert.equal(completed.route, "/products");
+        assert.equal(completed.status, 200);
+        assert.ok(completed.pgCount >= 1);
+        assert.equal(typeof completed.pgMs, "number");
+    });
+});
+
+describe("Logger", () => {
+    test("filters by level and serializes errors", () => {
+        const lines = [];
+        const log = createLogger({
+            level: "warn",
+            fields: { service: "test" },
+            write: (line) => lines.push(JSON.parse(line)),
+        });
+
+        log.info("ignored");
+        runWithContext({ requestId: "req-1" }, () =>
+            log.error("Failed", { err: new Error("boom") }),
+        );
+
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].msg, "Failed");
+        assert.equal(lines[0].service, "test");
+        assert.equal(lines[0].requestId, "req-1");
+        assert.equal(lines[0].err.message, "boom");
+        assert.throws(() => log.setLevel("verbose"));
+    });
+});
+
+describe("OTLP exporter", () => {
+    test("posts spans to the collector as OTLP JSON", async () => {
+        const received = [];
+        const collector = createServer((req, res) => {
+            let body = "";
+            req.on("data", (chunk) => (body += chunk));
+            req.on("end", () => {
+                received.push({ url: req.url, body: JSON.parse(body) });
+                res.end("{}");
+            });
+        });
+        await new Promise((resolve) => collector.listen(0, resolve));
+
+        const exporter = createOtlpExporter({
+            endpoint: `http://localhost:${collector.address().port}`,
+            serviceName: "product-api-test",
+        });
+        const trace = createTracer({ exporter }).startTrace("GET /products");
+        trace.end();
+        await exporter.shutdown();
+        await new Promise((resolve) => collector.close(resolve));
+
+        assert.equal(received.length, 1);
+        assert.equal(received[0].url, "/v1/traces");
+        const [resourceSpans] = received[0].body.resourceSpans;
+        assert.deepEqual(resourceSpans.resource.attributes, [
+            {
+                key: "service.name",
+                value: { stringValue: "product-api-test" },
+            },
+        ]);
+        const [span] = resourceSpans.scopeSpans[0].spans;
+        assert.equal(span.traceId, trace.traceId);
+        assert.equal(span.name, "GET /products");
+        assert.equal(span.kind, 2);
+        assert.deepEqual(span.status, { code: 1 });
+        assert.match(span.startTimeUnixNano, /^\d+$/);
+    });
+});